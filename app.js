@@ -8,16 +8,15 @@
 
 let db = null;
 let selectedFile = null;
+let audioCtx = null;
+// Decoded audio buffers keyed by blob id so replaying a card doesn't re-decode
+const decodedBuffers = new Map();
+// Cleanup callbacks registered by the current view (stop audio, timers, ...)
+let viewCleanups = [];
 
 document.addEventListener('DOMContentLoaded', async () => {
   // Register service worker for offline support
-  if ('serviceWorker' in navigator) {
-    try {
-      await navigator.serviceWorker.register('service-worker.js');
-    } catch (err) {
-      console.warn('Service worker registration failed', err);
-    }
-  }
+  await registerServiceWorker();
   // Show install prompt if not dismissed before
   if (!localStorage.getItem('installPromptDismissed')) {
     const promptEl = document.getElementById('installPrompt');
@@ -32,36 +31,358 @@ document.addEventListener('DOMContentLoaded', async () => {
       localStorage.setItem('installPromptDismissed', '1');
     });
   }
-  // Open database and load cards
+  // Open database and show the view in the URL
   await openDB();
-  await loadCards();
+  try {
+    await purgeExpiredTrash();
+  } catch (err) {
+    console.warn('Emptying expired trash failed', err);
+  }
+  initInputBindings();
+  window.addEventListener('popstate', () => route());
+  await route();
   // Attach handler to Add New Card button
   const addBtn = document.getElementById('addCardBtn');
   if (addBtn) {
     addBtn.addEventListener('click', () => {
-      showAddView();
+      navigate('#/add');
+    });
+  }
+  const cardsBtn = document.getElementById('cardsBtn');
+  if (cardsBtn) {
+    cardsBtn.addEventListener('click', () => {
+      navigate('#/cards');
+    });
+  }
+  const todayBtn = document.getElementById('todayBtn');
+  if (todayBtn) {
+    todayBtn.addEventListener('click', () => {
+      navigate('#/today');
+    });
+  }
+  const setlistsBtn = document.getElementById('setlistsBtn');
+  if (setlistsBtn) {
+    setlistsBtn.addEventListener('click', () => {
+      navigate('#/setlists');
+    });
+  }
+  const statsBtn = document.getElementById('statsBtn');
+  if (statsBtn) {
+    statsBtn.addEventListener('click', () => {
+      navigate('#/stats');
+    });
+  }
+  const controlsBtn = document.getElementById('controlsBtn');
+  if (controlsBtn) {
+    controlsBtn.addEventListener('click', () => {
+      navigate('#/controls');
+    });
+  }
+  const trashBtn = document.getElementById('trashBtn');
+  if (trashBtn) {
+    trashBtn.addEventListener('click', () => {
+      navigate('#/trash');
+    });
+  }
+  const backupBtn = document.getElementById('backupBtn');
+  if (backupBtn) {
+    backupBtn.addEventListener('click', () => {
+      navigate('#/backup');
     });
   }
 });
 
+/* Service worker updates */
+
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('service-worker.js');
+  } catch (err) {
+    console.warn('Service worker registration failed', err);
+    return;
+  }
+  // A worker installed on a previous visit may already be waiting
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+    });
+  });
+  // Reload once the new worker has taken over, so every file comes from it
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+  // An installed PWA can stay open for days: look for updates whenever it
+  // comes back online or to the foreground
+  const checkForUpdate = () => {
+    if (navigator.onLine) registration.update().catch(err => console.warn('Update check failed', err));
+  };
+  window.addEventListener('online', checkForUpdate);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkForUpdate();
+  });
+}
+
+function showUpdatePrompt(worker) {
+  const promptEl = document.getElementById('updatePrompt');
+  if (!promptEl) return;
+  promptEl.classList.remove('hidden');
+  const reloadBtn = document.getElementById('reloadUpdate');
+  reloadBtn.onclick = () => {
+    reloadBtn.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  document.getElementById('dismissUpdate').onclick = () => promptEl.classList.add('hidden');
+}
+
+/* Routing */
+
+// Every view has a hash URL, so reloading restores it, the back gesture
+// moves between views and cards can be bookmarked. Handlers get the
+// decoded path parameters followed by data passed to navigate().
+const ROUTES = [
+  [/^#\/cards$/, () => loadCards()],
+  [/^#\/cards\/([^/]+)$/, id => viewCard(id)],
+  [/^#\/cards\/([^/]+)\/session\/new$/, id => showSessionRoute(id)],
+  [/^#\/cards\/([^/]+)\/sessions\/([^/]+)$/, (id, sessionId) => showSessionRoute(id, sessionId)],
+  [/^#\/cards\/([^/]+)\/practice$/, id => showPracticeView(id)],
+  [/^#\/add$/, () => showAddView()],
+  [/^#\/add\/([^/]+)$/, recordingId => showAddView(recordingId)],
+  [/^#\/today$/, () => showTodayView()],
+  [/^#\/stats$/, () => showStatsView()],
+  [/^#\/setlists$/, () => showSetlistsView()],
+  [/^#\/setlists\/([^/]+)$/, id => showSetlistEditor(id)],
+  [/^#\/setlists\/([^/]+)\/play$/, id => showSetlistPlayer(id)],
+  [/^#\/trash$/, () => showTrashView()],
+  [/^#\/controls$/, () => showControlsView()],
+  [/^#\/shared$/, () => showSharedRoute()],
+  [/^#\/backup$/, () => showBackupView()]
+];
+
+function cardPath(id) {
+  return `#/cards/${encodeURIComponent(id)}`;
+}
+
+function route() {
+  const hash = location.hash;
+  const data = history.state ? history.state.data : null;
+  for (const [pattern, show] of ROUTES) {
+    const match = hash.match(pattern);
+    if (match) return show(...match.slice(1).map(decodeURIComponent), data);
+  }
+  // Unknown or empty hash: the card list
+  return loadCards();
+}
+
+// Show a view and record it in the history. replace swaps the current
+// entry instead (after saving a form, say). data rides along in the history
+// state; it is lost on reload, so views must work without it.
+function navigate(path, options) {
+  const opts = Object.assign({ replace: false, data: null }, options);
+  const replace = opts.replace || path === location.hash;
+  const state = {
+    from: replace && history.state ? history.state.from : location.hash,
+    data: opts.data
+  };
+  if (replace) {
+    history.replaceState(state, '', path);
+  } else {
+    history.pushState(state, '', path);
+  }
+  return route();
+}
+
+// Leave a form or sub-view for the view it was opened from. Going back
+// through the history keeps the finished form from reappearing on the next
+// back gesture; when it was opened directly (a bookmark), show fallback.
+function goBack(fallback) {
+  if (history.state && typeof history.state.from === 'string') {
+    history.back();
+    return;
+  }
+  navigate(fallback, { replace: true });
+}
+
+// New session form, or the edit form when sessionId is given
+async function showSessionRoute(id, sessionId) {
+  const card = await getCard(id);
+  const session = card && sessionId ? (card.sessions || []).find(sess => sess.id === sessionId) : null;
+  if (!card || (sessionId && !session)) {
+    navigate(card ? cardPath(id) : '#/cards', { replace: true });
+    return;
+  }
+  await showAddSessionForm(card, session);
+}
+
+/* Schema migrations */
+
+// Database migrations, applied in order for every version above the one a
+// device already has. Each upgrade runs inside the versionchange
+// transaction, so it can create stores and indexes and rewrite records.
+// Whenever CARD_MIGRATIONS grows, add a version here that calls
+// rewriteCards(tx) so stored cards are brought up to date.
+const DB_MIGRATIONS = [
+  {
+    version: 1,
+    upgrade: dbRef => {
+      // Cards store holds card metadata and sessions
+      dbRef.createObjectStore('cards', { keyPath: 'id' });
+      // Blobs store holds audio blobs keyed by recording id
+      dbRef.createObjectStore('blobs');
+    }
+  },
+  {
+    version: 2,
+    upgrade: (dbRef, tx) => {
+      // Recordings describe each stored audio file; many cards can cut
+      // their phrase from the same recording
+      dbRef.createObjectStore('recordings', { keyPath: 'id' });
+      tx.objectStore('cards').createIndex('recordingId', 'recordingId');
+      createRecordingsForCardBlobs(tx);
+    }
+  },
+  {
+    version: 3,
+    upgrade: (dbRef, tx) => rewriteCards(tx)
+  },
+  {
+    version: 4,
+    upgrade: (dbRef, tx) => rewriteCards(tx)
+  },
+  {
+    version: 5,
+    upgrade: dbRef => {
+      // Takes are our own recordings of a card's phrase; their audio lives
+      // in the blobs store under the take id
+      const takes = dbRef.createObjectStore('takes', { keyPath: 'id' });
+      takes.createIndex('cardId', 'cardId');
+    }
+  },
+  {
+    version: 6,
+    upgrade: dbRef => {
+      // Setlists: named, ordered practice routines of cards
+      dbRef.createObjectStore('setlists', { keyPath: 'id' });
+    }
+  }
+];
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+// Card record migrations: CARD_MIGRATIONS[n] upgrades a card from
+// schemaVersion n to n + 1. Cards without a schemaVersion are version 0.
+// They only touch the card object, so the same steps upgrade cards read
+// from old backups.
+const CARD_MIGRATIONS = [
+  // 0 -> 1: mastery tracked per key instead of one status per mode
+  card => {
+    card.mastery = normalizeMastery(card.mastery);
+  },
+  // 1 -> 2: audio lives in shared recordings; version 1 kept it under the
+  // card's audioBlobId, which became the recording id. Cards saved without
+  // audio had an empty audioBlobId and get no recording.
+  card => {
+    if (!card.recordingId && card.audioBlobId) card.recordingId = card.audioBlobId;
+    delete card.audioBlobId;
+  },
+  // 2 -> 3: spaced-repetition schedule, rebuilt from the session history
+  card => rebuildReview(card)
+];
+const CARD_SCHEMA_VERSION = CARD_MIGRATIONS.length;
+
+function migrateCard(card) {
+  const from = card.schemaVersion || 0;
+  if (from > CARD_SCHEMA_VERSION) {
+    throw new Error(`Card "${card.title || card.id}" was saved by a newer version of the app`);
+  }
+  for (let v = from; v < CARD_SCHEMA_VERSION; v++) {
+    CARD_MIGRATIONS[v](card);
+  }
+  card.schemaVersion = CARD_SCHEMA_VERSION;
+  return card;
+}
+
+// Run every stored card through migrateCard
+function rewriteCards(tx) {
+  const cardStore = tx.objectStore('cards');
+  cardStore.openCursor().onsuccess = e => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if ((cursor.value.schemaVersion || 0) < CARD_SCHEMA_VERSION) {
+      cursor.update(migrateCard(cursor.value));
+    }
+    cursor.continue();
+  };
+}
+
+// Version 1 stored one blob per card under the card's id. Describe each of
+// those blobs as a recording with the same id; card migration 1 -> 2 then
+// points the cards at them.
+function createRecordingsForCardBlobs(tx) {
+  const blobStore = tx.objectStore('blobs');
+  const recordingStore = tx.objectStore('recordings');
+  const cardStore = tx.objectStore('cards');
+  cardStore.openCursor().onsuccess = e => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const card = cursor.value;
+    const blobId = card.audioBlobId;
+    if (!blobId) {
+      cursor.continue();
+      return;
+    }
+    blobStore.get(blobId).onsuccess = ev => {
+      const blob = ev.target.result;
+      if (!blob) {
+        // The audio is gone, so the card must not point at a recording.
+        // Requests run in order, so this read lands after the card
+        // migration has already rewritten the record.
+        cardStore.get(card.id).onsuccess = evt => {
+          const stored = evt.target.result;
+          if (!stored || stored.recordingId !== blobId) return;
+          delete stored.recordingId;
+          cardStore.put(stored);
+        };
+        return;
+      }
+      recordingStore.put({
+        id: blobId,
+        name: card.title || 'Recording',
+        type: blob.type || '',
+        size: blob.size || 0,
+        createdAt: card.createdAt || Date.now()
+      });
+    };
+    cursor.continue();
+  };
+}
+
 /* Database helper functions */
 
 function openDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open('phrasecards', 1);
+    const request = indexedDB.open('phrasecards', DB_VERSION);
     request.onupgradeneeded = e => {
       const dbRef = e.target.result;
-      // Cards store holds card metadata and sessions
-      if (!dbRef.objectStoreNames.contains('cards')) {
-        dbRef.createObjectStore('cards', { keyPath: 'id' });
-      }
-      // Blobs store holds the audio blobs keyed by card id
-      if (!dbRef.objectStoreNames.contains('blobs')) {
-        dbRef.createObjectStore('blobs');
-      }
+      const tx = e.target.transaction;
+      DB_MIGRATIONS.forEach(migration => {
+        if (migration.version > e.oldVersion) migration.upgrade(dbRef, tx);
+      });
+    };
+    request.onblocked = () => {
+      alert('Please close other Phrase Cards tabs so the library can be upgraded.');
     };
     request.onsuccess = e => {
       db = e.target.result;
+      // Let a newer version of the app in another tab upgrade the database
+      db.onversionchange = () => db.close();
       resolve(db);
     };
     request.onerror = e => {
@@ -70,18 +391,27 @@ function openDB() {
   });
 }
 
+function newId() {
+  return (crypto && crypto.randomUUID) ? crypto.randomUUID() : Math.random().toString(36).substring(2);
+}
+
+// Cards outside the trash
 function getAllCards() {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('cards', 'readonly');
     const store = tx.objectStore('cards');
     const req = store.getAll();
     req.onsuccess = () => {
-      resolve(req.result || []);
+      resolve((req.result || []).filter(card => !card.deletedAt));
     };
     req.onerror = () => reject(req.error);
   });
 }
 
+async function getTrashedCards() {
+  return (await getAllRecords('cards')).filter(card => card.deletedAt);
+}
+
 function getCard(id) {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('cards', 'readonly');
@@ -106,700 +436,6790 @@ function getBlob(id) {
   });
 }
 
+function getAllRecordings() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recordings', 'readonly');
+    const req = tx.objectStore('recordings').getAll();
+    req.onsuccess = () => {
+      resolve(req.result || []);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function getRecording(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recordings', 'readonly');
+    const req = tx.objectStore('recordings').get(id);
+    req.onsuccess = () => {
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Number of cards cutting their phrase from a recording
+function countCardsForRecording(recordingId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('cards', 'readonly');
+    const req = tx.objectStore('cards').index('recordingId').count(recordingId);
+    req.onsuccess = () => {
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Save a card. Passing a blob stores it as a new recording for the card
+// (dropping the old one if nothing else uses it); otherwise the card keeps
+// pointing at its existing recordingId.
 function saveCard(card, blob) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(['cards', 'blobs'], 'readwrite');
+    const tx = db.transaction(['cards', 'blobs', 'recordings'], 'readwrite');
     const cardStore = tx.objectStore('cards');
-    const blobStore = tx.objectStore('blobs');
+    const previousRecordingId = blob ? card.recordingId : null;
     if (blob) {
-      const blobKey = card.id;
-      blobStore.put(blob, blobKey);
-      card.audioBlobId = blobKey;
+      const recordingId = newId();
+      tx.objectStore('blobs').put(blob, recordingId);
+      tx.objectStore('recordings').put({
+        id: recordingId,
+        name: blob.name || card.title || 'Recording',
+        type: blob.type || '',
+        size: blob.size || 0,
+        createdAt: Date.now()
+      });
+      card.recordingId = recordingId;
     }
     // Always update updatedAt on save
     card.updatedAt = Date.now();
     cardStore.put(card);
+    if (previousRecordingId) deleteRecordingIfUnused(tx, previousRecordingId);
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
 
-function deleteCard(id) {
+// Trashed cards keep their audio, takes and setlist places, and still count
+// as users of their recording, until they are purged
+const TRASH_DAYS = 30;
+
+async function trashCard(id) {
+  const card = await getCard(id);
+  if (!card) return;
+  card.deletedAt = Date.now();
+  await saveCard(card, null);
+}
+
+async function restoreCard(id) {
+  const card = await getCard(id);
+  if (!card) return;
+  delete card.deletedAt;
+  await saveCard(card, null);
+}
+
+async function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_DAYS * DAY_MS;
+  for (const card of await getTrashedCards()) {
+    if (card.deletedAt < cutoff) await purgeCard(card.id);
+  }
+}
+
+// Delete a card for good with its takes, notation files and setlist
+// entries, and its recording too once no other card uses it
+function purgeCard(id) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(['cards', 'blobs'], 'readwrite');
+    const tx = db.transaction(['cards', 'blobs', 'recordings', 'takes', 'setlists'], 'readwrite');
     const cardStore = tx.objectStore('cards');
-    const blobStore = tx.objectStore('blobs');
-    cardStore.delete(id);
-    blobStore.delete(id);
+    deleteTakesForCard(tx, id);
+    removeCardFromSetlists(tx, id);
+    cardStore.get(id).onsuccess = e => {
+      const card = e.target.result;
+      cardStore.delete(id);
+      if (!card) return;
+      deleteAttachmentBlobs(tx, card);
+      if (card.recordingId) deleteRecordingIfUnused(tx, card.recordingId);
+    };
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
 
-/* UI rendering functions */
+// Remove a recording and its audio inside an open transaction once no card
+// points at it any more
+function deleteRecordingIfUnused(tx, recordingId) {
+  tx.objectStore('cards').index('recordingId').count(recordingId).onsuccess = e => {
+    if (e.target.result > 0) return;
+    tx.objectStore('blobs').delete(recordingId);
+    tx.objectStore('recordings').delete(recordingId);
+    decodedBuffers.delete(recordingId);
+  };
+}
 
-async function loadCards() {
-  const cards = await getAllCards();
-  renderCardList(cards);
+function getTakesForCard(cardId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('takes', 'readonly');
+    const req = tx.objectStore('takes').index('cardId').getAll(cardId);
+    req.onsuccess = () => {
+      resolve((req.result || []).sort((a, b) => b.createdAt - a.createdAt));
+    };
+    req.onerror = () => reject(req.error);
+  });
 }
 
-function renderCardList(cards) {
-  const main = document.getElementById('main');
-  if (!main) return;
-  main.innerHTML = '';
-  if (!cards || cards.length === 0) {
-    const p = document.createElement('p');
-    p.textContent = 'No cards yet. Click "Add New Card" to create one.';
-    main.appendChild(p);
-    return;
+// Save a take; blob is only needed the first time
+function saveTake(take, blob) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['takes', 'blobs'], 'readwrite');
+    if (blob) tx.objectStore('blobs').put(blob, take.id);
+    tx.objectStore('takes').put(take);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function deleteTake(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['takes', 'blobs'], 'readwrite');
+    tx.objectStore('takes').delete(id);
+    tx.objectStore('blobs').delete(id);
+    decodedBuffers.delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Link takes to the session they were played in; a null sessionId unlinks
+// them again
+function attachTakesToSession(takeIds, sessionId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('takes', 'readwrite');
+    const store = tx.objectStore('takes');
+    takeIds.forEach(id => {
+      store.get(id).onsuccess = e => {
+        const take = e.target.result;
+        if (!take) return;
+        take.sessionId = sessionId;
+        store.put(take);
+      };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Remove a card's takes and their audio inside an open transaction
+function deleteTakesForCard(tx, cardId) {
+  const blobStore = tx.objectStore('blobs');
+  tx.objectStore('takes').index('cardId').openCursor(cardId).onsuccess = e => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    blobStore.delete(cursor.value.id);
+    decodedBuffers.delete(cursor.value.id);
+    cursor.delete();
+    cursor.continue();
+  };
+}
+
+// Store a photo or PDF of the card's notation. The file goes in the blobs
+// store under the attachment id; card.attachments describes it.
+function addAttachment(card, file) {
+  return new Promise((resolve, reject) => {
+    const attachment = {
+      id: newId(),
+      name: file.name || 'Notation',
+      type: file.type || '',
+      size: file.size || 0,
+      createdAt: Date.now()
+    };
+    const tx = db.transaction(['cards', 'blobs'], 'readwrite');
+    tx.objectStore('blobs').put(file, attachment.id);
+    card.attachments = (card.attachments || []).concat(attachment);
+    card.updatedAt = Date.now();
+    tx.objectStore('cards').put(card);
+    tx.oncomplete = () => resolve(attachment);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function removeAttachment(card, attachmentId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['cards', 'blobs'], 'readwrite');
+    tx.objectStore('blobs').delete(attachmentId);
+    card.attachments = (card.attachments || []).filter(att => att.id !== attachmentId);
+    card.updatedAt = Date.now();
+    tx.objectStore('cards').put(card);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Remove a card's attachment files inside an open transaction, except the
+// ones listed in keep
+function deleteAttachmentBlobs(tx, card, keep) {
+  const kept = new Set((keep || []).map(att => att.id));
+  (card.attachments || []).forEach(att => {
+    if (!kept.has(att.id)) tx.objectStore('blobs').delete(att.id);
+  });
+}
+
+function attachmentBytes(card) {
+  return (card.attachments || []).reduce((sum, att) => sum + (att.size || 0), 0);
+}
+
+function getSetlist(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('setlists', 'readonly');
+    const req = tx.objectStore('setlists').get(id);
+    req.onsuccess = () => {
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function saveSetlist(setlist) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('setlists', 'readwrite');
+    setlist.updatedAt = Date.now();
+    tx.objectStore('setlists').put(setlist);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function deleteSetlist(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('setlists', 'readwrite');
+    tx.objectStore('setlists').delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Drop a card from every setlist inside an open transaction
+function removeCardFromSetlists(tx, cardId) {
+  tx.objectStore('setlists').openCursor().onsuccess = e => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const setlist = cursor.value;
+    const items = setlist.items.filter(item => item.cardId !== cardId);
+    if (items.length !== setlist.items.length) {
+      setlist.items = items;
+      cursor.update(setlist);
+    }
+    cursor.continue();
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// Warning text when the browser reports the origin's storage as nearly
+// full (Safari evicts or refuses writes past its quota), otherwise null
+async function getStorageWarning() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    if (!quota || usage / quota < 0.8) return null;
+    return `Storage is ${Math.round(usage / quota * 100)}% full (${formatBytes(usage)} of ${formatBytes(quota)}). ` +
+      'Export a backup, then free space by deleting old takes or keeping only the trimmed phrases.';
+  } catch (err) {
+    console.warn('Storage estimate failed', err);
+    return null;
   }
-  const list = document.createElement('div');
-  list.className = 'card-list';
-  // Sort by updatedAt desc
-  cards.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
-  cards.forEach(card => {
-    const cardDiv = document.createElement('div');
-    cardDiv.className = 'card';
-    // Title
-    const h3 = document.createElement('h3');
-    h3.textContent = card.title || 'Untitled';
-    h3.style.cursor = 'pointer';
-    h3.addEventListener('click', () => viewCard(card.id));
-    cardDiv.appendChild(h3);
-    // Progress badges
-    const progressDiv = document.createElement('div');
-    progressDiv.className = 'progress';
-    const circBadge = document.createElement('span');
-    circBadge.className = 'badge ' + (card.mastery?.circleOfFifths || 'not_started');
-    circBadge.textContent = 'Circle: ' + (card.mastery?.circleOfFifths || 'not_started');
-    const chromBadge = document.createElement('span');
-    chromBadge.className = 'badge ' + (card.mastery?.chromatic || 'not_started');
-    chromBadge.textContent = 'Chromatic: ' + (card.mastery?.chromatic || 'not_started');
-    progressDiv.appendChild(circBadge);
-    progressDiv.appendChild(chromBadge);
-    cardDiv.appendChild(progressDiv);
-    // Max tempo
-    let maxTempo = 0;
-    if (Array.isArray(card.sessions)) {
-      card.sessions.forEach(sess => {
-        if (Array.isArray(sess.temposAchieved)) {
-          const localMax = Math.max(...sess.temposAchieved, 0);
-          if (localMax > maxTempo) maxTempo = localMax;
-        }
-      });
+}
+
+function getAllRecords(storeName) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).getAll();
+    req.onsuccess = () => {
+      resolve(req.result || []);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* Library archive */
+
+// Backups are plain zip files (stored, not compressed: audio doesn't shrink)
+// holding library.json plus one audio/<recordingId> entry per recording,
+// one takes/<takeId> entry per recorded take and one attachments/<id> entry
+// per notation file.
+const ARCHIVE_FORMAT = 'phrasecards-library';
+const ARCHIVE_VERSION = 1;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// entries: [{ name, data: Blob }]. Each blob is read once for its CRC and
+// then referenced as-is, so large libraries aren't copied twice in memory.
+async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const bytes = new Uint8Array(await entry.data.arrayBuffer());
+    const crc = crc32(bytes);
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // stored
+    header.setUint16(10, dosTime, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, name.length, true);
+    parts.push(header.buffer, name, entry.data);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint16(12, dosTime, true);
+    dir.setUint16(14, dosDate, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, bytes.length, true);
+    dir.setUint32(24, bytes.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir.buffer, name);
+    offset += 30 + name.length + bytes.length;
+  }
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
+}
+
+// Read a zip into a Map of name -> Uint8Array. Deflated entries (an archive
+// re-zipped by another tool) are inflated where the browser supports it.
+async function readZip(blob) {
+  const buf = await blob.arrayBuffer();
+  const view = new DataView(buf);
+  let endPos = -1;
+  for (let i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endPos = i;
+      break;
+    }
+  }
+  if (endPos < 0) throw new Error('Not a zip file');
+  const count = view.getUint16(endPos + 10, true);
+  let pos = view.getUint32(endPos + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const extraLen = view.getUint16(pos + 30, true);
+    const commentLen = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(buf, pos + 46, nameLen));
+    pos += 46 + nameLen + extraLen + commentLen;
+    const localNameLen = view.getUint16(localOffset + 26, true);
+    const localExtraLen = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLen + localExtraLen;
+    let data = new Uint8Array(buf, dataStart, compressedSize);
+    if (method === 8) {
+      if (!window.DecompressionStream) throw new Error(`Cannot inflate ${name} in this browser`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (method !== 0) {
+      throw new Error(`Unsupported compression in ${name}`);
     }
-    const tempoP = document.createElement('p');
-    tempoP.textContent = maxTempo > 0 ? `Max Tempo: ${maxTempo} BPM` : 'No sessions';
-    cardDiv.appendChild(tempoP);
-    list.appendChild(cardDiv);
+    if (crc32(data) !== crc) throw new Error(`Checksum mismatch in ${name}`);
+    files.set(name, data);
+  }
+  return files;
+}
+
+async function exportLibrary() {
+  const cards = await getAllRecords('cards');
+  const recordings = await getAllRecords('recordings');
+  const takes = await getAllRecords('takes');
+  const setlists = await getAllRecords('setlists');
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    cards,
+    recordings,
+    takes,
+    setlists
+  };
+  const entries = [{ name: 'library.json', data: new Blob([JSON.stringify(manifest)], { type: 'application/json' }) }];
+  for (const rec of recordings) {
+    const blob = await getBlob(rec.id);
+    if (blob) entries.push({ name: `audio/${rec.id}`, data: blob });
+  }
+  for (const take of takes) {
+    const blob = await getBlob(take.id);
+    if (blob) entries.push({ name: `takes/${take.id}`, data: blob });
+  }
+  for (const att of cards.flatMap(card => card.attachments || [])) {
+    const blob = await getBlob(att.id);
+    if (blob) entries.push({ name: `attachments/${att.id}`, data: blob });
+  }
+  return createZip(entries);
+}
+
+// One card as an archive in the backup format, for sending to a bandmate.
+// It holds a fresh copy with new ids and no practice history, so importing
+// it (merge) adds a card without touching the receiver's own cards, and
+// deleting it later can't take another card's notation files along.
+async function exportCardBundle(card) {
+  const copy = JSON.parse(JSON.stringify(card));
+  copy.id = newId();
+  copy.createdAt = Date.now();
+  copy.updatedAt = Date.now();
+  copy.sessions = [];
+  copy.review = null;
+  delete copy.deletedAt;
+  MASTERY_MODES.forEach(mode => {
+    copy.mastery[mode] = createKeyMastery('not_started');
   });
-  main.appendChild(list);
+  const entries = [];
+  copy.attachments = [];
+  for (const att of card.attachments || []) {
+    const blob = await getBlob(att.id);
+    if (!blob) continue;
+    const attachment = Object.assign({}, att, { id: newId() });
+    copy.attachments.push(attachment);
+    entries.push({ name: `attachments/${attachment.id}`, data: blob });
+  }
+  const recording = card.recordingId ? await getRecording(card.recordingId) : null;
+  const audio = recording ? await getBlob(recording.id) : null;
+  // The recording is copied too: under its old id, importing the bundle
+  // where that recording exists would overwrite it for every card using it
+  const bundledRecording = audio ? Object.assign({}, recording, { id: newId() }) : null;
+  copy.recordingId = bundledRecording ? bundledRecording.id : undefined;
+  if (audio) entries.push({ name: `audio/${bundledRecording.id}`, data: audio });
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    cards: [copy],
+    recordings: audio ? [bundledRecording] : [],
+    takes: [],
+    setlists: []
+  };
+  entries.unshift({ name: 'library.json', data: new Blob([JSON.stringify(manifest)], { type: 'application/json' }) });
+  return createZip(entries);
 }
 
-function showAddView() {
-  const main = document.getElementById('main');
-  if (!main) return;
-  selectedFile = null;
-  main.innerHTML = '';
-  // Form container
-  const container = document.createElement('div');
-  // Header
+// Sessions in an archive may come from someone else's device, and their
+// fields end up in views and in mastery: only well-formed ones are kept
+function isValidSession(sess) {
+  const isNum = value => typeof value === 'number' && Number.isFinite(value);
+  const optNum = value => value === undefined || value === null || isNum(value);
+  const numList = value => value === undefined || (Array.isArray(value) && value.every(isNum));
+  if (!sess || typeof sess !== 'object' || typeof sess.id !== 'string') return false;
+  if (!isNum(sess.date) || !SESSION_MODES.includes(sess.mode)) return false;
+  if (sess.keys !== undefined && !(Array.isArray(sess.keys) && sess.keys.every(key => KEY_NAMES.includes(key)))) return false;
+  if (!numList(sess.temposAchieved) || !numList(sess.speeds)) return false;
+  if (![sess.errorRate, sess.durationSec, sess.repetitions, sess.misses].every(optNum)) return false;
+  if (sess.notes !== undefined && sess.notes !== null && typeof sess.notes !== 'string') return false;
+  if (sess.score !== undefined && sess.score !== null) {
+    if (typeof sess.score !== 'object') return false;
+    if (!['accuracy', 'correct', 'refNotes'].every(field => isNum(sess.score[field])) || !optNum(sess.score.timingMs)) return false;
+  }
+  return true;
+}
+
+// Parse and validate an archive without touching the database. Returns the
+// cards, recordings and takes that can be imported, every file keyed by id
+// in audio (notation attachments included), plus human-readable problems.
+async function readLibraryArchive(file) {
+  const files = await readZip(file);
+  const json = files.get('library.json');
+  if (!json) throw new Error('library.json is missing');
+  const manifest = JSON.parse(new TextDecoder().decode(json));
+  if (manifest.format !== ARCHIVE_FORMAT) throw new Error('This is not a Phrase Cards backup');
+  if (manifest.version > ARCHIVE_VERSION) throw new Error('This backup was made by a newer version of the app');
+  const problems = [];
+  const recordings = [];
+  const audio = new Map();
+  (Array.isArray(manifest.recordings) ? manifest.recordings : []).forEach(rec => {
+    const data = rec && typeof rec.id === 'string' ? files.get(`audio/${rec.id}`) : null;
+    if (!data) {
+      problems.push(`Recording "${(rec && rec.name) || '?'}" has no audio in the archive`);
+      return;
+    }
+    recordings.push(rec);
+    audio.set(rec.id, new Blob([data], { type: rec.type || '' }));
+  });
+  const cards = [];
+  (Array.isArray(manifest.cards) ? manifest.cards : []).forEach(card => {
+    if (!card || typeof card.id !== 'string' || !card.trim) {
+      problems.push('Skipped a card record with a missing id or trim');
+      return;
+    }
+    if (card.sessions !== undefined) {
+      const sessions = Array.isArray(card.sessions) ? card.sessions : [];
+      card.sessions = sessions.filter(isValidSession);
+      const dropped = sessions.length - card.sessions.length;
+      if (dropped) problems.push(`Card "${card.title || 'Untitled'}": skipped ${dropped} malformed practice session${dropped === 1 ? '' : 's'}`);
+    }
+    if (card.recordingId && !audio.has(card.recordingId)) {
+      problems.push(`Card "${card.title || 'Untitled'}" uses audio that is not in the archive; it is only imported if that recording is already on this device`);
+    }
+    if (Array.isArray(card.attachments)) {
+      card.attachments = card.attachments.filter(att => {
+        const data = att && typeof att.id === 'string' ? files.get(`attachments/${att.id}`) : null;
+        if (!data) {
+          problems.push(`Card "${card.title || 'Untitled'}" is missing the notation file "${(att && att.name) || '?'}"`);
+          return false;
+        }
+        audio.set(att.id, new Blob([data], { type: att.type || '' }));
+        return true;
+      });
+    }
+    try {
+      cards.push(migrateCard(card));
+    } catch (err) {
+      problems.push(err.message);
+    }
+  });
+  // Takes only come along with their card; older backups have none
+  const takes = [];
+  (Array.isArray(manifest.takes) ? manifest.takes : []).forEach(take => {
+    const data = take && typeof take.id === 'string' ? files.get(`takes/${take.id}`) : null;
+    if (!data || !cards.some(card => card.id === take.cardId)) {
+      problems.push('Skipped a recorded take whose audio or card is missing');
+      return;
+    }
+    takes.push(take);
+    audio.set(take.id, new Blob([data], { type: take.type || '' }));
+  });
+  const setlists = (Array.isArray(manifest.setlists) ? manifest.setlists : []).filter(setlist => {
+    const valid = setlist && typeof setlist.id === 'string' && Array.isArray(setlist.items);
+    if (!valid) problems.push('Skipped a setlist record with a missing id or items');
+    return valid;
+  });
+  return { exportedAt: manifest.exportedAt, cards, recordings, takes, setlists, audio, problems };
+}
+
+// Write an archive into the database in one transaction. mode 'replace'
+// wipes the library first; 'merge' matches cards by id and keeps whichever
+// copy was updated last. Cards whose audio is neither in the archive nor
+// already on this device are skipped. Takes are added to whichever cards
+// end up in the library; setlists follow the same rules as cards.
+function importLibrary(archive, mode) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['cards', 'blobs', 'recordings', 'takes', 'setlists'], 'readwrite');
+    const cardStore = tx.objectStore('cards');
+    const blobStore = tx.objectStore('blobs');
+    const recordingStore = tx.objectStore('recordings');
+    const takeStore = tx.objectStore('takes');
+    const result = { added: 0, updated: 0, kept: 0, skipped: 0 };
+    if (mode === 'replace') {
+      cardStore.clear();
+      blobStore.clear();
+      recordingStore.clear();
+      takeStore.clear();
+      tx.objectStore('setlists').clear();
+    }
+    (archive.setlists || []).forEach(setlist => {
+      const setlistStore = tx.objectStore('setlists');
+      setlistStore.get(setlist.id).onsuccess = e => {
+        const existing = e.target.result;
+        if (!existing || (setlist.updatedAt || 0) > (existing.updatedAt || 0)) setlistStore.put(setlist);
+      };
+    });
+    const putTakes = cardId => {
+      (archive.takes || []).filter(take => take.cardId === cardId).forEach(take => {
+        takeStore.put(take);
+        blobStore.put(archive.audio.get(take.id), take.id);
+      });
+    };
+    // Write a card with its notation files, dropping files of the copy it
+    // replaces that the incoming card no longer has
+    const putCard = (card, existing) => {
+      if (existing) deleteAttachmentBlobs(tx, existing, card.attachments);
+      cardStore.put(card);
+      (card.attachments || []).forEach(att => blobStore.put(archive.audio.get(att.id), att.id));
+      putTakes(card.id);
+    };
+    archive.recordings.forEach(rec => {
+      recordingStore.put(rec);
+      blobStore.put(archive.audio.get(rec.id), rec.id);
+    });
+    archive.cards.forEach(card => {
+      const write = (kind, existing) => {
+        if (!card.recordingId || archive.audio.has(card.recordingId)) {
+          putCard(card, existing);
+          result[kind]++;
+          return;
+        }
+        recordingStore.count(card.recordingId).onsuccess = e => {
+          if (e.target.result > 0) {
+            putCard(card, existing);
+            result[kind]++;
+          } else {
+            result.skipped++;
+          }
+        };
+      };
+      if (mode === 'replace') {
+        write('added');
+        return;
+      }
+      cardStore.get(card.id).onsuccess = e => {
+        const existing = e.target.result;
+        if (!existing) {
+          write('added');
+        } else if ((card.updatedAt || 0) > (existing.updatedAt || 0)) {
+          write('updated', existing);
+        } else {
+          putTakes(card.id);
+          result.kept++;
+        }
+      };
+    });
+    tx.oncomplete = () => {
+      decodedBuffers.clear();
+      resolve(result);
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/* Audio engine */
+
+function getAudioContext() {
+  if (!audioCtx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    audioCtx = new Ctx();
+  }
+  // iOS keeps the context suspended until it is resumed from a user gesture
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+  return audioCtx;
+}
+
+function decodeAudioData(data) {
+  const ctx = getAudioContext();
+  // Older Safari only supports the callback form of decodeAudioData
+  return new Promise((resolve, reject) => {
+    ctx.decodeAudioData(data, resolve, reject);
+  });
+}
+
+async function decodeBlob(id, blob) {
+  if (decodedBuffers.has(id)) return decodedBuffers.get(id);
+  const buffer = await decodeAudioData(await blob.arrayBuffer());
+  decodedBuffers.set(id, buffer);
+  return buffer;
+}
+
+// Copy startSec..endSec into a new buffer with a few milliseconds of fade at
+// each edge so the loop point doesn't click.
+function sliceBuffer(buffer, startSec, endSec) {
+  const ctx = getAudioContext();
+  const rate = buffer.sampleRate;
+  const start = Math.max(0, Math.round(startSec * rate));
+  const end = Math.min(buffer.length, Math.round(endSec * rate));
+  const length = Math.max(1, end - start);
+  const out = ctx.createBuffer(buffer.numberOfChannels, length, rate);
+  const fade = Math.min(Math.round(0.003 * rate), Math.floor(length / 2));
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = out.getChannelData(ch);
+    data.set(buffer.getChannelData(ch).subarray(start, start + length));
+    for (let i = 0; i < fade; i++) {
+      const g = i / fade;
+      data[i] *= g;
+      data[length - 1 - i] *= g;
+    }
+  }
+  return out;
+}
+
+// 16-bit PCM WAV: plays everywhere, including Safari, and needs no encoder
+function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const dataBytes = buffer.length * channels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataBytes));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataBytes, true);
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) data.push(buffer.getChannelData(ch));
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const sample = Math.max(-1, Math.min(1, data[ch][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+// Stored phrases are mono: compressed at CLIP_BITRATE where the browser
+// can record, otherwise as WAV resampled to CLIP_WAV_RATE
+const CLIP_BITRATE = 96000;
+const CLIP_WAV_RATE = 22050;
+
+// Mix down to one channel at rate (linear interpolation)
+function resampleMono(buffer, rate) {
+  const ctx = getAudioContext();
+  const ratio = buffer.sampleRate / rate;
+  const length = Math.max(1, Math.floor(buffer.length / ratio));
+  const out = ctx.createBuffer(1, length, rate);
+  const data = out.getChannelData(0);
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  for (let i = 0; i < length; i++) {
+    const pos = i * ratio;
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(buffer.length - 1, i0 + 1);
+    const frac = pos - i0;
+    let sum = 0;
+    channels.forEach(samples => {
+      sum += samples[i0] + (samples[i1] - samples[i0]) * frac;
+    });
+    data[i] = sum / channels.length;
+  }
+  return out;
+}
+
+// Encode a buffer with the same MediaRecorder codecs takes use (Opus, or
+// AAC on Safari) by playing it, silently, into a recorder. This runs in
+// real time. Resolves to null where the browser can't record.
+function encodeCompressed(buffer) {
+  const mimeType = recorderMimeType();
+  const ctx = getAudioContext();
+  if (!mimeType || !ctx.createMediaStreamDestination) return Promise.resolve(null);
+  return new Promise((resolve, reject) => {
+    const dest = ctx.createMediaStreamDestination();
+    dest.channelCount = 1;
+    dest.channelCountMode = 'explicit';
+    const recorder = new MediaRecorder(dest.stream, { mimeType, audioBitsPerSecond: CLIP_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = e => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || mimeType }));
+    recorder.onerror = e => reject(e.error || e);
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.connect(dest);
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      src.onended = null;
+      src.disconnect();
+      if (recorder.state !== 'inactive') recorder.stop();
+    };
+    // Give the last block time to reach the recorder; the timer also ends
+    // the run if the context never plays (still suspended, say)
+    src.onended = () => {
+      clearTimeout(timer);
+      timer = setTimeout(finish, 200);
+    };
+    timer = setTimeout(finish, (buffer.duration + 2) * 1000);
+    recorder.onstart = () => src.start();
+    recorder.start();
+  });
+}
+
+// Seconds of silence the recorder caught before playback reached it, found
+// by matching half a second of the clip from atSec against the decoded copy
+function encoderDelay(clip, encoded, atSec) {
+  const a = downsampleMono(clip);
+  const b = downsampleMono(encoded);
+  const rate = a.sampleRate;
+  const start = Math.min(Math.max(0, Math.round(atSec * rate)), a.samples.length - 1);
+  const length = Math.min(Math.round(0.5 * rate), a.samples.length - start);
+  const maxLag = Math.min(Math.round(0.5 * rate), b.samples.length - start - length);
+  let best = 0;
+  let bestSum = -Infinity;
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += a.samples[start + i] * b.samples[start + lag + i];
+    if (sum > bestSum) {
+      bestSum = sum;
+      best = lag;
+    }
+  }
+  return best / rate;
+}
+
+// Cut the trimmed phrase plus padSec either side out of a recording as a
+// standalone, compact audio file. Returns the file and the phrase's trim
+// within it.
+async function renderClip(buffer, trim, padSec, name) {
+  const clipStart = Math.max(0, trim.startSec - padSec);
+  const clipEnd = Math.min(buffer.duration, trim.endSec + padSec);
+  const clip = sliceBuffer(buffer, clipStart, clipEnd);
+  let blob = null;
+  let delay = 0;
+  try {
+    blob = await encodeCompressed(clip);
+    if (blob) delay = encoderDelay(clip, await decodeAudioData(await blob.arrayBuffer()), trim.startSec - clipStart);
+  } catch (err) {
+    console.warn('Could not encode the phrase; storing it as WAV', err);
+    blob = null;
+  }
+  if (!blob) blob = encodeWav(resampleMono(clip, CLIP_WAV_RATE));
+  const round = sec => Math.round(sec * 1000) / 1000;
+  return {
+    file: new File([blob], name, { type: blob.type }),
+    trim: {
+      startSec: round(trim.startSec - clipStart + delay),
+      endSec: round(Math.min(trim.endSec, clipEnd) - clipStart + delay)
+    }
+  };
+}
+
+// Pitch-preserving time stretch (WSOLA). Frames are read from the input at
+// rate x the output hop and each one is nudged by up to ~12ms to the offset
+// that best lines up with the waveform already written, which avoids the
+// phasiness of a plain overlap-add. rate < 1 slows down, rate > 1 speeds up.
+function timeStretchPositions(mono, rate, sampleRate) {
+  const frame = 2 * Math.round(sampleRate * 0.023);
+  const hop = frame / 2;
+  const tolerance = Math.round(sampleRate * 0.012);
+  const outLength = Math.ceil(mono.length / rate);
+  const positions = [];
+  let prev = -hop;
+  for (let outPos = 0; outPos < outLength; outPos += hop) {
+    const nominal = Math.round(outPos * rate);
+    let best = nominal;
+    if (positions.length > 0) {
+      // Compare candidates against where the previous frame would naturally
+      // continue, on every 4th sample to keep this cheap
+      const natural = prev + hop;
+      let bestScore = -Infinity;
+      for (let d = -tolerance; d <= tolerance; d += 2) {
+        const cand = nominal + d;
+        if (cand < 0) continue;
+        let score = 0;
+        for (let i = 0; i < hop; i += 4) {
+          const a = mono[natural + i] || 0;
+          const b = mono[cand + i] || 0;
+          score += a * b;
+        }
+        if (score > bestScore) {
+          bestScore = score;
+          best = cand;
+        }
+      }
+    }
+    positions.push(best);
+    prev = best;
+  }
+  return { positions, frame, hop, outLength };
+}
+
+function overlapAdd(input, plan) {
+  const { positions, frame, hop, outLength } = plan;
+  const out = new Float32Array(outLength + frame);
+  const norm = new Float32Array(outLength + frame);
+  const window = new Float32Array(frame);
+  for (let i = 0; i < frame; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+  }
+  for (let k = 0; k < positions.length; k++) {
+    const src = positions[k];
+    const dst = k * hop;
+    for (let i = 0; i < frame; i++) {
+      out[dst + i] += (input[src + i] || 0) * window[i];
+      norm[dst + i] += window[i];
+    }
+  }
+  for (let i = 0; i < outLength; i++) {
+    if (norm[i] > 1e-3) out[i] /= norm[i];
+  }
+  return out.subarray(0, outLength);
+}
+
+// Render the trimmed segment at a playback speed (1 = original) and
+// transposed by a number of semitones. A pitch shift is a time stretch by the
+// pitch factor followed by resampling back to the intended length. All
+// channels share one set of frame positions so the stereo image holds.
+function renderSegment(segment, options) {
+  const rate = options.rate || 1;
+  const pitch = Math.pow(2, (options.semitones || 0) / 12);
+  if (Math.abs(rate - 1) < 0.001 && pitch === 1) return segment;
+  const ctx = getAudioContext();
+  const channels = [];
+  for (let ch = 0; ch < segment.numberOfChannels; ch++) {
+    channels.push(segment.getChannelData(ch));
+  }
+  let mono = channels[0];
+  if (channels.length > 1) {
+    mono = new Float32Array(segment.length);
+    channels.forEach(data => {
+      for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels.length;
+    });
+  }
+  const plan = timeStretchPositions(mono, rate / pitch, segment.sampleRate);
+  const outLength = Math.max(1, Math.floor(plan.outLength / pitch));
+  const out = ctx.createBuffer(channels.length, outLength, segment.sampleRate);
+  channels.forEach((data, ch) => {
+    const stretched = overlapAdd(data, plan);
+    out.getChannelData(ch).set(pitch === 1 ? stretched : resample(stretched, pitch, outLength));
+  });
+  return out;
+}
+
+// Linear-interpolation resampler reading the input ratio x faster
+function resample(input, ratio, outLength) {
+  const out = new Float32Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    const pos = i * ratio;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const a = input[idx] || 0;
+    const b = input[idx + 1] || 0;
+    out[i] = a + (b - a) * frac;
+  }
+  return out;
+}
+
+// Native speed change for <audio> elements, keeping the pitch where the
+// browser lets us ask for that.
+function setPlaybackRate(audio, rate) {
+  audio.preservesPitch = true;
+  audio.webkitPreservesPitch = true;
+  audio.mozPreservesPitch = true;
+  audio.playbackRate = rate;
+}
+
+// Play a buffer repeatedly with a silent gap between repetitions. Every
+// repetition is scheduled on the audio clock a little ahead of time, so loop
+// points are sample-accurate regardless of timer jitter. repeats = 0 loops
+// until stop() is called. getBuffer(n), if given, picks the buffer for the
+// nth repetition (used by key drills).
+function createLoopPlayer(buffer, options) {
+  const ctx = getAudioContext();
+  const opts = Object.assign({ gapSec: 0, repeats: 0, getBuffer: null, onRepeat: null, onEnd: null }, options);
+  const output = ctx.createGain();
+  output.connect(ctx.destination);
+  const sources = [];
+  const timeouts = [];
+  let nextTime = 0;
+  let scheduledCount = 0;
+  let timer = null;
+  let stopped = true;
+
+  function notifyAt(time, fn) {
+    const delay = Math.max(0, (time - ctx.currentTime) * 1000);
+    timeouts.push(setTimeout(fn, delay));
+  }
+
+  function schedule() {
+    while (!stopped && nextTime < ctx.currentTime + 1.2 &&
+      (opts.repeats === 0 || scheduledCount < opts.repeats)) {
+      const src = ctx.createBufferSource();
+      src.buffer = opts.getBuffer ? opts.getBuffer(scheduledCount + 1) : buffer;
+      src.connect(output);
+      src.start(nextTime);
+      sources.push(src);
+      src.onended = () => {
+        const idx = sources.indexOf(src);
+        if (idx >= 0) sources.splice(idx, 1);
+      };
+      const index = ++scheduledCount;
+      if (opts.onRepeat) notifyAt(nextTime, () => opts.onRepeat(index));
+      nextTime += src.buffer.duration;
+      if (opts.repeats !== 0 && scheduledCount === opts.repeats) {
+        notifyAt(nextTime, () => {
+          stop();
+          if (opts.onEnd) opts.onEnd();
+        });
+        return;
+      }
+      nextTime += opts.gapSec;
+    }
+  }
+
+  function start(when) {
+    stop();
+    stopped = false;
+    scheduledCount = 0;
+    nextTime = Math.max(when || 0, ctx.currentTime + 0.05);
+    schedule();
+    timer = setInterval(schedule, 200);
+  }
+
+  function stop() {
+    stopped = true;
+    clearInterval(timer);
+    timer = null;
+    timeouts.splice(0).forEach(t => clearTimeout(t));
+    sources.splice(0).forEach(src => {
+      try {
+        src.stop();
+      } catch (err) {
+        // already stopped
+      }
+    });
+  }
+
+  return {
+    start,
+    stop,
+    isPlaying: () => !stopped,
+    // Gap changes apply from the next repetition that isn't scheduled yet
+    setGap: sec => { opts.gapSec = Math.max(0, sec); },
+    // Swap the audio (e.g. after a tempo change) from the next repetition on
+    setBuffer: next => { buffer = next; },
+    dispose: () => {
+      stop();
+      output.disconnect();
+    }
+  };
+}
+
+// Click track scheduled on the audio clock. Beats are counted from start();
+// the first beat of each bar can be accented and every beat split into
+// quieter subdivisions. maxBeats > 0 stops after that many beats (count-in).
+function createMetronome(options) {
+  const ctx = getAudioContext();
+  const opts = Object.assign({ bpm: 100, beatsPerBar: 4, subdivision: 1, accent: true, maxBeats: 0, onBeat: null, onEnd: null }, options);
+  const output = ctx.createGain();
+  output.connect(ctx.destination);
+  const oscillators = [];
+  const timeouts = [];
+  let nextTime = 0;
+  let tick = 0;
+  let timer = null;
+  let stopped = true;
+
+  function click(time, level) {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = level === 'accent' ? 1600 : level === 'beat' ? 1000 : 700;
+    gain.gain.setValueAtTime(level === 'sub' ? 0.25 : 0.6, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+    osc.connect(gain);
+    gain.connect(output);
+    osc.start(time);
+    osc.stop(time + 0.06);
+    oscillators.push(osc);
+    osc.onended = () => {
+      const idx = oscillators.indexOf(osc);
+      if (idx >= 0) oscillators.splice(idx, 1);
+      gain.disconnect();
+    };
+  }
+
+  function schedule() {
+    while (!stopped && nextTime < ctx.currentTime + 0.2) {
+      if (opts.maxBeats && tick >= opts.maxBeats * opts.subdivision) {
+        const finish = () => {
+          stop();
+          if (opts.onEnd) opts.onEnd();
+        };
+        timeouts.push(setTimeout(finish, Math.max(0, (nextTime - ctx.currentTime) * 1000)));
+        clearInterval(timer);
+        timer = null;
+        return;
+      }
+      const sub = tick % opts.subdivision;
+      const beat = Math.floor(tick / opts.subdivision) % opts.beatsPerBar;
+      let level = 'sub';
+      if (sub === 0) level = beat === 0 && opts.accent ? 'accent' : 'beat';
+      click(nextTime, level);
+      if (sub === 0 && opts.onBeat) {
+        const delay = Math.max(0, (nextTime - ctx.currentTime) * 1000);
+        timeouts.push(setTimeout(() => opts.onBeat(beat), delay));
+      }
+      nextTime += 60 / opts.bpm / opts.subdivision;
+      tick++;
+    }
+  }
+
+  function start(when) {
+    stop();
+    stopped = false;
+    tick = 0;
+    nextTime = Math.max(when || 0, ctx.currentTime + 0.05);
+    schedule();
+    timer = setInterval(schedule, 50);
+    return nextTime;
+  }
+
+  function stop() {
+    stopped = true;
+    clearInterval(timer);
+    timer = null;
+    timeouts.splice(0).forEach(t => clearTimeout(t));
+    oscillators.splice(0).forEach(osc => {
+      try {
+        osc.stop();
+      } catch (err) {
+        // already stopped
+      }
+    });
+  }
+
+  return {
+    start,
+    stop,
+    isPlaying: () => !stopped,
+    // Tempo, meter and accent changes apply from the next tick
+    update: changes => { Object.assign(opts, changes); },
+    dispose: () => {
+      stop();
+      output.disconnect();
+    }
+  };
+}
+
+/* Microphone recording */
+
+// Container formats differ per browser: Safari only records MP4/AAC
+function recorderMimeType() {
+  if (!window.MediaRecorder || !MediaRecorder.isTypeSupported) return '';
+  return ['audio/webm;codecs=opus', 'audio/mp4', 'audio/webm'].find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// Start recording from the microphone. onLevel(peak 0..1) is called every
+// animation frame for a level meter. Resolves to a recorder whose stop()
+// resolves to the recorded blob; cancel() throws the recording away.
+async function startMicRecording(options) {
+  const opts = Object.assign({ onLevel: null }, options);
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || !window.MediaRecorder) {
+    throw new Error('Recording is not supported in this browser');
+  }
+  // Voice processing is tuned for speech and mangles instruments
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+  });
+  const mimeType = recorderMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = e => {
+    if (e.data && e.data.size > 0) chunks.push(e.data);
+  };
+  const ctx = getAudioContext();
+  const source = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+  const meter = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    opts.onLevel(Math.min(1, peak));
+    frame = requestAnimationFrame(meter);
+  };
+  if (opts.onLevel) meter();
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    cancelAnimationFrame(frame);
+    source.disconnect();
+    stream.getTracks().forEach(track => track.stop());
+  };
+  recorder.start();
+  return {
+    startedAt: Date.now(),
+    stop: () => new Promise((resolve, reject) => {
+      recorder.onstop = () => {
+        release();
+        resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }));
+      };
+      recorder.onerror = e => {
+        release();
+        reject(e.error || e);
+      };
+      recorder.stop();
+    }),
+    cancel: () => {
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+      release();
+    }
+  };
+}
+
+/* Pitch tracking */
+
+// Analysis runs on a downsampled mono copy: ~11 kHz still covers the
+// fundamentals of melodic instruments and keeps YIN cheap enough for phones.
+const PITCH_RATE = 11025;
+const PITCH_FRAME = 512;
+const PITCH_HOP = 128;
+const MIN_NOTE_SEC = 0.05;
+
+function downsampleMono(buffer) {
+  const factor = Math.max(1, Math.round(buffer.sampleRate / PITCH_RATE));
+  const length = Math.floor(buffer.length / factor);
+  const out = new Float32Array(length);
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  // Averaging each block doubles as a crude anti-alias filter
+  const scale = 1 / (factor * channels.length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    channels.forEach(data => {
+      for (let j = 0; j < factor; j++) sum += data[i * factor + j];
+    });
+    out[i] = sum * scale;
+  }
+  return { samples: out, sampleRate: buffer.sampleRate / factor };
+}
+
+// YIN fundamental frequency estimate for the frame at start, or 0 when the
+// frame has no clear pitch.
+function yinPitch(samples, start, sampleRate) {
+  const half = PITCH_FRAME / 2;
+  const tauMin = Math.max(2, Math.floor(sampleRate / 1500));
+  const diff = new Float32Array(half);
+  for (let tau = 1; tau < half; tau++) {
+    let sum = 0;
+    for (let j = 0; j < half; j++) {
+      const d = samples[start + j] - samples[start + j + tau];
+      sum += d * d;
+    }
+    diff[tau] = sum;
+  }
+  // Cumulative mean normalised difference
+  let running = 0;
+  diff[0] = 1;
+  for (let tau = 1; tau < half; tau++) {
+    running += diff[tau];
+    diff[tau] = running > 0 ? diff[tau] * tau / running : 1;
+  }
+  let tau = tauMin;
+  while (tau < half && diff[tau] >= 0.15) tau++;
+  if (tau >= half - 1) return 0;
+  while (tau + 1 < half && diff[tau + 1] < diff[tau]) tau++;
+  // Parabolic interpolation around the dip
+  const a = diff[tau - 1];
+  const b = diff[tau];
+  const c = diff[tau + 1] === undefined ? b : diff[tau + 1];
+  const denom = a + c - 2 * b;
+  const better = denom > 0 ? tau + (a - c) / (2 * denom) : tau;
+  return sampleRate / better;
+}
+
+// Pitch per analysis frame as fractional MIDI numbers (null = unvoiced).
+// hopSec is the real spacing of the frames: the downsampled rate depends on
+// the buffer's own sample rate, so it is only roughly PITCH_RATE.
+function trackPitch(buffer) {
+  const { samples, sampleRate } = downsampleMono(buffer);
+  const frames = [];
+  let maxRms = 0;
+  for (let start = 0; start + PITCH_FRAME <= samples.length; start += PITCH_HOP) {
+    let energy = 0;
+    for (let i = 0; i < PITCH_FRAME; i++) energy += samples[start + i] * samples[start + i];
+    const rms = Math.sqrt(energy / PITCH_FRAME);
+    maxRms = Math.max(maxRms, rms);
+    frames.push({ time: start / sampleRate, rms, start });
+  }
+  return {
+    hopSec: PITCH_HOP / sampleRate,
+    frames: frames.map(frame => {
+      // Ignore quiet frames: breaths, room noise and decaying tails
+      const freq = frame.rms > maxRms * 0.05 ? yinPitch(samples, frame.start, sampleRate) : 0;
+      return { time: frame.time, midi: freq > 0 ? 69 + 12 * Math.log2(freq / 440) : null };
+    })
+  };
+}
+
+// Group frames into notes. Each frame is snapped to the middle value of
+// itself and its neighbours, which irons out single-frame octave slips.
+function segmentNotes(track) {
+  const { frames, hopSec } = track;
+  const rounded = frames.map((frame, i) => {
+    const near = frames.slice(Math.max(0, i - 1), i + 2).map(f => f.midi);
+    if (frame.midi === null || near.some(m => m === null)) return frame.midi === null ? null : Math.round(frame.midi);
+    return Math.round(near.sort((x, y) => x - y)[1]);
+  });
+  const notes = [];
+  let current = null;
+  rounded.forEach((midi, i) => {
+    if (current && midi === current.midi) {
+      current.end = frames[i].time + hopSec;
+      return;
+    }
+    if (current) notes.push(current);
+    current = midi === null ? null : { midi, start: frames[i].time, end: frames[i].time + hopSec };
+  });
+  if (current) notes.push(current);
+  return notes.filter(note => note.end - note.start >= MIN_NOTE_SEC);
+}
+
+function noteName(midi) {
+  return KEY_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+// Align two note sequences (edit distance; notes match when they share a
+// pitch class, so playing an octave away still counts) and score the take:
+// accuracy is correct notes over the longer sequence, timing is the mean
+// onset error after removing the overall offset between the recordings.
+function compareNotes(refNotes, takeNotes) {
+  const n = refNotes.length;
+  const m = takeNotes.length;
+  const cost = [];
+  for (let i = 0; i <= n; i++) {
+    cost.push(new Array(m + 1).fill(0));
+    cost[i][0] = i;
+  }
+  for (let j = 0; j <= m; j++) cost[0][j] = j;
+  const same = (i, j) => (refNotes[i].midi - takeNotes[j].midi) % 12 === 0;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (same(i - 1, j - 1) ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (same(i - 1, j - 1) ? 0 : 1)) {
+      pairs.unshift({ ref: refNotes[i - 1], take: takeNotes[j - 1], ok: same(i - 1, j - 1) });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      pairs.unshift({ ref: refNotes[i - 1], take: null, ok: false });
+      i--;
+    } else {
+      pairs.unshift({ ref: null, take: takeNotes[j - 1], ok: false });
+      j--;
+    }
+  }
+  const matched = pairs.filter(p => p.ok);
+  const offsets = matched.map(p => p.take.start - p.ref.start).sort((a, b) => a - b);
+  const offset = offsets.length ? offsets[Math.floor(offsets.length / 2)] : 0;
+  matched.forEach(p => {
+    p.timingMs = Math.round((p.take.start - p.ref.start - offset) * 1000);
+  });
+  const total = Math.max(n, m);
+  return {
+    pairs,
+    correct: matched.length,
+    refNotes: n,
+    takeNotes: m,
+    accuracy: total ? Math.round(matched.length / total * 100) : 0,
+    timingMs: matched.length ? Math.round(matched.reduce((sum, p) => sum + Math.abs(p.timingMs), 0) / matched.length) : null
+  };
+}
+
+function formatScore(score) {
+  return `${score.correct}/${score.refNotes} notes (${score.accuracy}%)` +
+    (score.timingMs !== null && score.timingMs !== undefined ? `, timing ±${score.timingMs} ms` : '');
+}
+
+/* Tempo detection */
+
+const TEMPO_MIN_BPM = 50;
+const TEMPO_MAX_BPM = 220;
+
+// Onset strength per frame: rises in log energy, with the local average
+// removed so sustained loud passages don't read as onsets.
+function onsetEnvelope(samples, sampleRate) {
+  const frame = 512;
+  const hop = 128;
+  const energies = [];
+  for (let start = 0; start + frame <= samples.length; start += hop) {
+    let sum = 0;
+    for (let i = 0; i < frame; i++) sum += samples[start + i] * samples[start + i];
+    energies.push(Math.log(1e-6 + sum / frame));
+  }
+  const fps = sampleRate / hop;
+  const flux = energies.map((e, i) => (i === 0 ? 0 : Math.max(0, e - energies[i - 1])));
+  const radius = Math.round(fps * 0.25);
+  const env = new Float32Array(flux.length);
+  let windowSum = 0;
+  for (let i = 0; i < flux.length + radius; i++) {
+    if (i < flux.length) windowSum += flux[i];
+    if (i - 2 * radius - 1 >= 0) windowSum -= flux[i - 2 * radius - 1];
+    const center = i - radius;
+    if (center < 0) continue;
+    const count = Math.min(flux.length, i + 1) - Math.max(0, center - radius);
+    env[center] = Math.max(0, flux[center] - windowSum / count);
+  }
+  // A light blur lets onsets that fall between frames still line up when
+  // the beat period isn't a whole number of frames
+  const smooth = new Float32Array(env.length);
+  for (let i = 0; i < env.length; i++) {
+    smooth[i] = 0.25 * (env[i - 1] || 0) + 0.5 * env[i] + 0.25 * (env[i + 1] || 0);
+  }
+  return { env: smooth, fps };
+}
+
+// Estimate the tempo of startSec..endSec from the autocorrelation of its
+// onset envelope. Lags are weighted towards ~120 BPM so the pulse wins over
+// its half and double. Returns { bpm, confidence 0..1 } or null when the
+// range is too short to hold a few beats.
+function estimateTempo(buffer, startSec, endSec) {
+  const { samples, sampleRate } = downsampleMono(sliceBuffer(buffer, startSec, endSec));
+  const { env, fps } = onsetEnvelope(samples, sampleRate);
+  const minLag = Math.floor(fps * 60 / TEMPO_MAX_BPM);
+  const maxLag = Math.ceil(fps * 60 / TEMPO_MIN_BPM);
+  if (env.length < maxLag * 2) return null;
+  const autocorr = lag => {
+    let sum = 0;
+    for (let i = 0; i + lag < env.length; i++) sum += env[i] * env[i + lag];
+    return sum / (env.length - lag);
+  };
+  const zero = autocorr(0);
+  if (zero <= 0) return null;
+  const scores = [];
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    const octaves = Math.log2(60 * fps / lag / 120);
+    scores[lag] = autocorr(lag) * Math.exp(-0.5 * octaves * octaves);
+  }
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+  const a = scores[best - 1];
+  const b = scores[best];
+  const c = scores[best + 1];
+  const denom = a + c - 2 * b;
+  const lag = denom < 0 ? best + (a - c) / (2 * denom) : best;
+  return {
+    bpm: Math.round(60 * fps / lag * 10) / 10,
+    confidence: Math.min(1, autocorr(best) / zero)
+  };
+}
+
+function describeTempo(tempo) {
+  if (!tempo) return 'Could not detect a steady beat; enter the tempo by hand.';
+  return `Detected ≈ ${Math.round(tempo.bpm)} BPM` +
+    (tempo.confidence < 0.5 ? ' (uncertain, check it against the metronome; it may be half or double)' : '');
+}
+
+/* Keys and transposition */
+
+// Pitch-class names used for card keys, drills and mastery
+const KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// The 12 keys in drill order, starting from startKey. mode matches the
+// session modes: 'circleOfFifths' or 'chromatic'.
+function drillOrder(mode, startKey) {
+  const step = mode === 'circleOfFifths' ? 7 : 1;
+  const start = Math.max(0, KEY_NAMES.indexOf(startKey));
+  const keys = [];
+  for (let i = 0; i < 12; i++) {
+    keys.push(KEY_NAMES[(start + i * step) % 12]);
+  }
+  return keys;
+}
+
+// Smallest shift between two keys, -5..+6 semitones, so transposed clips
+// never move more than a tritone from the recording
+function semitonesBetween(fromKey, toKey) {
+  const diff = (KEY_NAMES.indexOf(toKey) - KEY_NAMES.indexOf(fromKey) + 12) % 12;
+  return diff > 6 ? diff - 12 : diff;
+}
+
+function announceKey(key) {
+  if (!('speechSynthesis' in window)) return;
+  const spoken = key.replace(/^([A-G])b$/, '$1 flat').replace('#', ' sharp');
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(spoken));
+}
+
+function createKeySelect(selected) {
+  const select = document.createElement('select');
+  KEY_NAMES.forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = key;
+    if (key === selected) opt.selected = true;
+    select.appendChild(opt);
+  });
+  return select;
+}
+
+/* Notation */
+
+// Just enough ABC (abcnotation.com) for a written-out phrase: the M:, L:
+// and K: header fields, notes with accidentals, octave marks and lengths,
+// rests, chords in [], chord symbols in quotes, broken rhythms, triplets and
+// bar lines. Decorations, slurs, ties and grace notes are skipped.
+
+// Natural pitch class and position on the line of fifths for C D E F G A B
+const STEP_PCS = [0, 2, 4, 5, 7, 9, 11];
+const STEP_FIFTHS = [0, 2, 4, -1, 1, 3, 5];
+// A mode's key signature relative to the major key on the same tonic
+const MODE_FIFTHS = { maj: 0, ion: 0, mix: -1, dor: -2, aeo: -3, min: -3, phr: -4, loc: -5, lyd: 1 };
+
+// K: value such as "Bb", "F#m" or "D dorian" -> key signature in fifths
+// (sharps positive, flats negative)
+function parseAbcKey(value) {
+  const match = /^\s*([A-G])([#b]?)\s*([A-Za-z]*)/.exec(value);
+  if (!match) return 0;
+  const mode = match[3].toLowerCase();
+  const modeFifths = mode === 'm' ? -3 : MODE_FIFTHS[mode.slice(0, 3)] || 0;
+  const accidental = match[2] === '#' ? 7 : match[2] === 'b' ? -7 : 0;
+  return STEP_FIFTHS['CDEFGAB'.indexOf(match[1])] + accidental + modeFifths;
+}
+
+// Alteration of each letter (C..B) in a key signature: the key's notes are
+// the seven consecutive fifths from one below the tonic up
+function keyAlters(fifths) {
+  return STEP_FIFTHS.map(pos => Math.ceil((fifths - 1 - pos) / 7));
+}
+
+// Spell a MIDI pitch in a key: the spelling closest on the line of fifths
+// to the key's own notes, so C major gets F# and Bb rather than Gb and A#
+function spellPitch(midi, fifths) {
+  const pc = ((midi % 12) + 12) % 12;
+  let best = null;
+  for (let step = 0; step < 7; step++) {
+    let alter = pc - STEP_PCS[step];
+    if (alter > 6) alter -= 12;
+    if (alter < -6) alter += 12;
+    if (Math.abs(alter) > 2) continue;
+    const pos = STEP_FIFTHS[step] + 7 * alter;
+    const distance = pos < fifths - 1 ? fifths - 1 - pos : Math.max(0, pos - fifths - 5);
+    // Ties go to sharps in sharp keys and flats in flat keys
+    const rank = distance * 2 + (Math.sign(alter) === (fifths < 0 ? 1 : -1) ? 1 : 0);
+    if (!best || rank < best.rank) best = { step, alter, rank };
+  }
+  return { step: best.step, alter: best.alter, octave: Math.floor((midi - best.alter) / 12) - 1 };
+}
+
+// Note length after a letter or rest: "2", "/", "//", "3/2", "/4"
+function parseAbcLength(text) {
+  const match = /^(\d*)(\/*)(\d*)/.exec(text);
+  const num = match[1] ? parseInt(match[1], 10) : 1;
+  const slashes = match[2].length;
+  const den = slashes === 0 ? 1 : match[3] ? parseInt(match[3], 10) : Math.pow(2, slashes);
+  return { value: num / den, length: match[0].length };
+}
+
+// Parse ABC text into { meter, fifths, lines }. Each line is an array of
+// { type: 'note', pitches, written, duration, symbol?, tuplet? },
+// { type: 'rest', written, duration, symbol? }, { type: 'bar', style } and
+// { type: 'key', fifths } elements. Pitches carry their MIDI number plus
+// the spelling they were written with. Lengths are in whole notes; written
+// ignores tuplets. Unknown syntax is skipped rather than rejected.
+function parseAbc(text) {
+  const tune = { meter: null, fifths: 0, lines: [] };
+  let unit = null;
+  let fifths = 0;
+  const body = [];
+  let inBody = false;
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/%.*$/, '');
+    const field = /^([A-Za-z]):(.*)$/.exec(line);
+    if (field) {
+      const value = field[2].trim();
+      if (field[1] === 'M') {
+        tune.meter = value === 'C' ? '4/4' : value === 'C|' ? '2/2' : value;
+      } else if (field[1] === 'L') {
+        unit = parseAbcLength(value).value;
+      } else if (field[1] === 'K') {
+        fifths = parseAbcKey(value);
+        if (inBody) body.push({ key: fifths });
+        else tune.fifths = fifths;
+        inBody = true;
+      }
+      return;
+    }
+    if (line.trim()) {
+      body.push(line);
+      inBody = true;
+    }
+  });
+  if (unit === null) {
+    // The ABC default: 1/16 for meters under 3/4, otherwise 1/8
+    const meter = /^(\d+)\/(\d+)$/.exec(tune.meter || '');
+    unit = meter && parseInt(meter[1], 10) / parseInt(meter[2], 10) < 0.75 ? 1 / 16 : 1 / 8;
+  }
+
+  fifths = tune.fifths;
+  let current = [];
+  let barAlters = {};
+  let tuplet = null;
+  let brokenNext = 1;
+  let symbol = null;
+  const push = el => {
+    if (symbol) el.symbol = symbol;
+    symbol = null;
+    current.push(el);
+    return el;
+  };
+  // A note's pitch: an explicit accidental holds for the rest of the bar
+  const readPitch = (accidental, letter, marks) => {
+    const step = 'CDEFGAB'.indexOf(letter.toUpperCase());
+    let octave = letter === letter.toUpperCase() ? 4 : 5;
+    for (const mark of marks) octave += mark === "'" ? 1 : -1;
+    const pitchKey = `${step}:${octave}`;
+    if (accidental) {
+      barAlters[pitchKey] = { '^': 1, '^^': 2, '_': -1, '__': -2, '=': 0 }[accidental];
+    }
+    const alter = pitchKey in barAlters ? barAlters[pitchKey] : keyAlters(fifths)[step];
+    return { midi: (octave + 1) * 12 + STEP_PCS[step] + alter, step, alter, octave };
+  };
+  const addTimed = (el, value) => {
+    el.written = value * unit * brokenNext;
+    el.duration = el.written;
+    brokenNext = 1;
+    if (tuplet) {
+      el.duration *= tuplet.factor;
+      if (tuplet.count === tuplet.total) el.tuplet = tuplet.total;
+      if (--tuplet.count === 0) tuplet = null;
+    }
+    return push(el);
+  };
+  const notePattern = /^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/;
+
+  body.forEach(line => {
+    if (typeof line !== 'string') {
+      fifths = line.key;
+      current.push({ type: 'key', fifths });
+      return;
+    }
+    let i = 0;
+    while (i < line.length) {
+      const rest = line.slice(i);
+      const ch = line[i];
+      let match;
+      if ((match = notePattern.exec(rest))) {
+        i += match[0].length;
+        const length = parseAbcLength(line.slice(i));
+        i += length.length;
+        addTimed({ type: 'note', pitches: [readPitch(match[1], match[2], match[3])] }, length.value);
+      } else if ((match = /^[zx]/.exec(rest))) {
+        i += 1;
+        const length = parseAbcLength(line.slice(i));
+        i += length.length;
+        if (ch === 'z') addTimed({ type: 'rest' }, length.value);
+      } else if ((match = /^\[([A-Za-z]):([^\]]*)\]/.exec(rest))) {
+        // Inline field
+        i += match[0].length;
+        if (match[1] === 'K') {
+          fifths = parseAbcKey(match[2]);
+          current.push({ type: 'key', fifths });
+        } else if (match[1] === 'L') {
+          unit = parseAbcLength(match[2].trim()).value;
+        }
+      } else if (/^\[[\^_=A-Ga-g]/.test(rest)) {
+        // Chord: the first note's length applies to all of them
+        const close = line.indexOf(']', i);
+        if (close < 0) break;
+        const pitches = [];
+        let value = null;
+        let j = i + 1;
+        while (j < close) {
+          const noteMatch = notePattern.exec(line.slice(j, close));
+          if (!noteMatch) {
+            j++;
+            continue;
+          }
+          j += noteMatch[0].length;
+          const length = parseAbcLength(line.slice(j, close));
+          j += length.length;
+          pitches.push(readPitch(noteMatch[1], noteMatch[2], noteMatch[3]));
+          if (value === null) value = length.value;
+        }
+        i = close + 1;
+        const after = parseAbcLength(line.slice(i));
+        i += after.length;
+        if (pitches.length) addTimed({ type: 'note', pitches }, (value || 1) * after.value);
+      } else if ((match = /^(\[\||:*\|+[\]:]*|::)\d*/.exec(rest))) {
+        i += match[0].length;
+        barAlters = {};
+        push({ type: 'bar', style: match[1] });
+      } else if ((match = /^\((\d)/.exec(rest))) {
+        // (3abc: three notes in the time of two
+        i += match[0].length;
+        const total = parseInt(match[1], 10);
+        const inTimeOf = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[total] || 2;
+        tuplet = { total, count: total, factor: inTimeOf / total };
+      } else if ((match = /^[<>]+/.exec(rest))) {
+        // a>b: dotted a then shortened b
+        i += match[0].length;
+        const previous = current[current.length - 1];
+        const shorter = 1 / Math.pow(2, match[0].length);
+        if (previous && previous.written) {
+          const longer = match[0][0] === '>' ? 2 - shorter : shorter;
+          previous.written *= longer;
+          previous.duration *= longer;
+          brokenNext = match[0][0] === '>' ? shorter : 2 - shorter;
+        }
+      } else if ((match = /^"([^"]*)"/.exec(rest))) {
+        i += match[0].length;
+        symbol = match[1].replace(/^[\^_<>@]/, '');
+      } else if ((match = /^(!([^!]*)!|\+([^+]*)\+|\{[^}]*\})/.exec(rest))) {
+        // Decorations and grace notes
+        i += match[0].length;
+      } else {
+        i++;
+      }
+    }
+    // A trailing backslash continues the staff line
+    if (!/\\\s*$/.test(line)) {
+      tune.lines.push(current);
+      current = [];
+    }
+  });
+  if (current.length) tune.lines.push(current);
+  tune.lines = tune.lines.filter(els => els.length);
+  return tune;
+}
+
+// Key signature for a tune moved by semitones, kept within six flats or
+// five sharps
+function transposeFifths(fifths, semitones) {
+  if (!semitones) return fifths;
+  return ((fifths + 7 * semitones) % 12 + 18) % 12 - 6;
+}
+
+// Written value of a length: base note (1 = whole) and whether it's dotted
+function noteValue(written) {
+  const bases = [1, 1 / 2, 1 / 4, 1 / 8, 1 / 16, 1 / 32];
+  const base = bases.find(b => written >= b * 0.99) || 1 / 32;
+  return { base, dotted: written >= base * 1.49 };
+}
+
+const ACCIDENTAL_GLYPHS = { '-2': '𝄫', '-1': '♭', 0: '♮', 1: '♯', 2: '𝄪' };
+// Treble clef steps (octave * 7 + letter) of the key signature accidentals
+const SHARP_STEPS = [38, 35, 39, 36, 33, 37, 34];
+const FLAT_STEPS = [34, 37, 33, 36, 32, 35, 31];
+const STAFF_BOTTOM = 30; // E4
+const STAFF_WIDTH = 560;
+
+// Render ABC text on treble staves as an SVG element, transposed by
+// semitones (spelled in the new key). Returns null if there are no notes.
+function renderAbc(text, semitones) {
+  const tune = parseAbc(text);
+  if (!tune.lines.some(els => els.some(el => el.type === 'note' || el.type === 'rest'))) return null;
+  const half = 5;
+  const lineHeight = 110;
+  const svg = svgEl('svg', { class: 'notation' });
+  let top = 0;
+  let fifths = transposeFifths(tune.fifths, semitones);
+  const yFor = stepIndex => top + 40 + (STAFF_BOTTOM + 8 - stepIndex) * half;
+  const line = (x1, y1, x2, y2, width) => {
+    svg.appendChild(svgEl('line', { x1, y1, x2, y2, stroke: '#222', 'stroke-width': width || 1 }));
+  };
+  const addText = (x, y, content, attrs) => {
+    const el = svgEl('text', Object.assign({ x, y }, attrs));
+    el.textContent = content;
+    svg.appendChild(el);
+  };
+  const drawSignature = x => {
+    const steps = fifths > 0 ? SHARP_STEPS.slice(0, fifths) : FLAT_STEPS.slice(0, -fifths);
+    steps.forEach(stepIndex => {
+      addText(x, yFor(stepIndex) + 5, fifths > 0 ? '♯' : '♭', { 'font-size': 15 });
+      x += 8;
+    });
+    return x + 6;
+  };
+  let x = 0;
+  const startStaff = first => {
+    if (!first) top += lineHeight;
+    for (let n = 0; n < 5; n++) line(0, yFor(STAFF_BOTTOM + n * 2), STAFF_WIDTH, yFor(STAFF_BOTTOM + n * 2));
+    addText(2, yFor(STAFF_BOTTOM) + 8, '𝄞', { 'font-size': 44 });
+    x = drawSignature(34);
+  };
+  startStaff(true);
+  if (tune.meter && /^\d+\/\d+$/.test(tune.meter)) {
+    const [beats, unitNote] = tune.meter.split('/');
+    addText(x, yFor(STAFF_BOTTOM + 4) - 1, beats, { 'font-size': 18, 'font-weight': 'bold' });
+    addText(x, yFor(STAFF_BOTTOM) - 1, unitNote, { 'font-size': 18, 'font-weight': 'bold' });
+    x += 22;
+  }
+
+  const drawRest = (x0, value) => {
+    const mid = yFor(STAFF_BOTTOM + 4);
+    if (value.base >= 1) {
+      svg.appendChild(svgEl('rect', { x: x0 - 5, y: yFor(STAFF_BOTTOM + 6), width: 10, height: 5 }));
+    } else if (value.base >= 1 / 2) {
+      svg.appendChild(svgEl('rect', { x: x0 - 5, y: mid - 5, width: 10, height: 5 }));
+    } else if (value.base >= 1 / 4) {
+      svg.appendChild(svgEl('polyline', {
+        points: `${x0 - 2},${mid - 12} ${x0 + 3},${mid - 5} ${x0 - 2},${mid + 1} ${x0 + 3},${mid + 8} ${x0 - 1},${mid + 6}`,
+        fill: 'none', stroke: '#222', 'stroke-width': 2
+      }));
+    } else {
+      const flags = Math.round(Math.log2(1 / value.base)) - 2;
+      line(x0 + 3, mid - 6, x0 - 1, mid + 8 + flags * 4, 1.5);
+      for (let n = 0; n < flags; n++) {
+        svg.appendChild(svgEl('circle', { cx: x0 - 2, cy: mid - 5 + n * 7, r: 2.5 }));
+      }
+    }
+    if (value.dotted) svg.appendChild(svgEl('circle', { cx: x0 + 8, cy: mid - 3, r: 1.5 }));
+  };
+
+  const drawNote = (x0, heads, value) => {
+    // Ledger lines below and above the staff
+    const low = Math.min(...heads.map(h => h.stepIndex));
+    const high = Math.max(...heads.map(h => h.stepIndex));
+    for (let s = STAFF_BOTTOM - 2; s >= low; s -= 2) line(x0 - 9, yFor(s), x0 + 9, yFor(s));
+    for (let s = STAFF_BOTTOM + 10; s <= high; s += 2) line(x0 - 9, yFor(s), x0 + 9, yFor(s));
+    const filled = value.base < 1 / 2;
+    heads.forEach(head => {
+      const y = yFor(head.stepIndex);
+      svg.appendChild(svgEl('ellipse', {
+        cx: x0, cy: y, rx: 5.5, ry: 4, transform: `rotate(-20 ${x0} ${y})`,
+        fill: filled ? '#222' : 'white', stroke: '#222', 'stroke-width': 1.5
+      }));
+      if (head.accidental !== null) addText(x0 - 17, y + 5, ACCIDENTAL_GLYPHS[head.accidental], { 'font-size': 15 });
+      if (value.dotted) {
+        const dotY = head.stepIndex % 2 === 0 ? y - half : y;
+        svg.appendChild(svgEl('circle', { cx: x0 + 10, cy: dotY, r: 1.5 }));
+      }
+    });
+    if (value.base >= 1) return;
+    // Stem away from the middle line, with a flag per beam level
+    const up = (low + high) / 2 < STAFF_BOTTOM + 4;
+    const stemX = up ? x0 + 5 : x0 - 5;
+    const from = yFor(up ? low : high);
+    const to = up ? yFor(high) - 30 : yFor(low) + 30;
+    line(stemX, from, stemX, to, 1.2);
+    const flags = Math.max(0, Math.round(Math.log2(1 / value.base)) - 2);
+    for (let n = 0; n < flags; n++) {
+      const y = to + (up ? n * 7 : -n * 7);
+      svg.appendChild(svgEl('path', {
+        d: `M${stemX} ${y} q 8 ${up ? 8 : -8} 6 ${up ? 18 : -18}`, fill: 'none', stroke: '#222', 'stroke-width': 2
+      }));
+    }
+  };
+
+  let shown = {};
+  tune.lines.forEach((els, lineIndex) => {
+    if (lineIndex > 0) startStaff(false);
+    els.forEach(el => {
+      if (el.type === 'key') {
+        fifths = transposeFifths(el.fifths, semitones);
+        x = drawSignature(x + 4);
+        return;
+      }
+      if (el.type === 'bar') {
+        shown = {};
+        const bottom = yFor(STAFF_BOTTOM);
+        const barTop = yFor(STAFF_BOTTOM + 8);
+        x += 4;
+        if (el.style.startsWith(':')) {
+          svg.appendChild(svgEl('circle', { cx: x - 5, cy: yFor(STAFF_BOTTOM + 5), r: 1.8 }));
+          svg.appendChild(svgEl('circle', { cx: x - 5, cy: yFor(STAFF_BOTTOM + 3), r: 1.8 }));
+        }
+        line(x, barTop, x, bottom);
+        if (/\|\||\]|\[/.test(el.style)) {
+          x += 4;
+          line(x, barTop, x, bottom, el.style.includes(']') ? 3 : 1);
+        }
+        if (el.style.endsWith(':')) {
+          svg.appendChild(svgEl('circle', { cx: x + 5, cy: yFor(STAFF_BOTTOM + 5), r: 1.8 }));
+          svg.appendChild(svgEl('circle', { cx: x + 5, cy: yFor(STAFF_BOTTOM + 3), r: 1.8 }));
+        }
+        x += 10;
+        return;
+      }
+      const value = noteValue(el.written);
+      const heads = el.type === 'note' ? el.pitches.map(pitch => {
+        const spelled = semitones ? spellPitch(pitch.midi + semitones, fifths) : pitch;
+        const stepIndex = spelled.octave * 7 + spelled.step;
+        const inEffect = stepIndex in shown ? shown[stepIndex] : keyAlters(fifths)[spelled.step];
+        shown[stepIndex] = spelled.alter;
+        return { stepIndex, accidental: spelled.alter === inEffect ? null : spelled.alter };
+      }) : [];
+      const width = 14 + 22 * Math.sqrt(el.duration * 4);
+      if (heads.some(head => head.accidental !== null)) x += 10;
+      // Wrap long lines onto a new staff
+      if (x + width > STAFF_WIDTH) {
+        startStaff(false);
+        if (heads.some(head => head.accidental !== null)) x += 10;
+      }
+      const x0 = x + 8;
+      if (el.symbol) addText(x0 - 6, top + 12, el.symbol, { 'font-size': 13 });
+      if (el.tuplet) addText(x0, top + 24, String(el.tuplet), { 'font-size': 11, 'font-style': 'italic' });
+      if (el.type === 'rest') drawRest(x0, value);
+      else drawNote(x0, heads, value);
+      x += width;
+    });
+  });
+  const height = top + lineHeight;
+  svg.setAttribute('viewBox', `0 0 ${STAFF_WIDTH} ${height}`);
+  svg.setAttribute('width', STAFF_WIDTH);
+  svg.setAttribute('height', height);
+  return svg;
+}
+
+/* Mastery */
+
+const MASTERY_STATUSES = ['not_started', 'in_progress', 'mastered'];
+const MASTERY_MODES = ['circleOfFifths', 'chromatic'];
+// Modes a session can be logged in: a drill cycle or free practice
+const SESSION_MODES = MASTERY_MODES.concat('free');
+const MASTERY_LABELS = { circleOfFifths: 'Circle', chromatic: 'Chromatic' };
+
+// Mastery for one mode: { C: { status, bestTempo }, Db: ..., ... }
+function createKeyMastery(status) {
+  const perKey = {};
+  KEY_NAMES.forEach(key => {
+    perKey[key] = { status: status || 'not_started', bestTempo: null };
+  });
+  return perKey;
+}
+
+// Bring card.mastery to the per-key shape. Cards saved before mastery was
+// tracked per key hold a single status string per mode; that status is
+// carried over to every key.
+function normalizeMastery(mastery) {
+  const out = {};
+  MASTERY_MODES.forEach(mode => {
+    const value = mastery ? mastery[mode] : null;
+    if (value && typeof value === 'object') {
+      out[mode] = createKeyMastery();
+      KEY_NAMES.forEach(key => {
+        if (value[key]) Object.assign(out[mode][key], value[key]);
+      });
+    } else {
+      out[mode] = createKeyMastery(MASTERY_STATUSES.includes(value) ? value : 'not_started');
+    }
+  });
+  return out;
+}
+
+// Overall status of one mode plus how many keys are mastered
+function masterySummary(card, mode) {
+  const perKey = card.mastery[mode];
+  const statuses = KEY_NAMES.map(key => perKey[key].status);
+  const mastered = statuses.filter(st => st === 'mastered').length;
+  let status = 'not_started';
+  if (mastered === KEY_NAMES.length) status = 'mastered';
+  else if (statuses.some(st => st !== 'not_started')) status = 'in_progress';
+  return { status, mastered };
+}
+
+// Fold a saved session into per-key mastery: practiced keys are at least in
+// progress and remember the best tempo reached in them. fromSessions marks
+// a status that a session set rather than a tap on the grid.
+function applySessionToMastery(card, session) {
+  const perKey = card.mastery[session.mode];
+  if (!perKey || !Array.isArray(session.keys)) return;
+  const topTempo = Math.max(...(session.temposAchieved || []), 0);
+  session.keys.forEach(key => {
+    const entry = perKey[key];
+    if (!entry) return;
+    if (entry.status === 'not_started') {
+      entry.status = 'in_progress';
+      entry.fromSessions = true;
+    }
+    if (topTempo > (entry.bestTempo || 0)) entry.bestTempo = topTempo;
+  });
+}
+
+// Replay the session history into mastery after a session was edited or
+// removed, as rebuildReview does for the schedule. Best tempos are
+// recomputed; statuses chosen on the grid stay as they are.
+function rebuildMastery(card) {
+  MASTERY_MODES.forEach(mode => {
+    KEY_NAMES.forEach(key => {
+      const entry = card.mastery[mode][key];
+      entry.bestTempo = null;
+      if (entry.fromSessions) {
+        entry.status = 'not_started';
+        delete entry.fromSessions;
+      }
+    });
+  });
+  (card.sessions || []).forEach(sess => applySessionToMastery(card, sess));
+}
+
+// Keys x modes matrix; tapping a cell cycles its status and saves the card
+function createMasteryGrid(card) {
+  const table = document.createElement('table');
+  table.className = 'mastery-grid';
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th'));
+  KEY_NAMES.forEach(key => {
+    const th = document.createElement('th');
+    th.textContent = key;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+  MASTERY_MODES.forEach(mode => {
+    const row = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = MASTERY_LABELS[mode];
+    row.appendChild(th);
+    KEY_NAMES.forEach(key => {
+      const entry = card.mastery[mode][key];
+      const td = document.createElement('td');
+      const paint = () => {
+        td.className = entry.status;
+        td.textContent = entry.bestTempo ? String(entry.bestTempo) : '';
+        td.title = `${MASTERY_LABELS[mode]} ${key}: ${entry.status}` +
+          (entry.bestTempo ? ` (best ${entry.bestTempo} BPM)` : '');
+      };
+      paint();
+      td.addEventListener('click', async () => {
+        const idx = MASTERY_STATUSES.indexOf(entry.status);
+        entry.status = MASTERY_STATUSES[(idx + 1) % MASTERY_STATUSES.length];
+        delete entry.fromSessions;
+        paint();
+        try {
+          await saveCard(card, null);
+        } catch (err) {
+          console.error('Error saving mastery', err);
+          alert('Failed to save mastery.');
+        }
+      });
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+  return table;
+}
+
+/* Spaced repetition */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Grade a session 0-5 for scheduling: errors cost a point per 10%, and
+// falling short of the card's target tempo costs up to 3 more points.
+function sessionQuality(card, session) {
+  let quality = 5 - (session.errorRate || 0) / 10;
+  const topTempo = Math.max(...(session.temposAchieved || []), 0);
+  if (card.bpmTarget && topTempo > 0) {
+    quality -= Math.min(3, Math.max(0, (1 - topTempo / card.bpmTarget) * 5));
+  }
+  return Math.min(5, Math.max(0, Math.round(quality)));
+}
+
+// SM-2 style update of card.review = { due, interval, ease, reps, quality }.
+// Good sessions push the next review further out each time; a poor one
+// (quality < 3) brings the card back tomorrow.
+function scheduleReview(card, session) {
+  const review = card.review || { due: 0, interval: 0, ease: 2.5, reps: 0, quality: null };
+  const quality = sessionQuality(card, session);
+  if (quality < 3) {
+    review.reps = 0;
+    review.interval = 1;
+  } else {
+    review.reps += 1;
+    if (review.reps === 1) review.interval = 1;
+    else if (review.reps === 2) review.interval = 3;
+    else review.interval = Math.round(review.interval * review.ease);
+  }
+  review.ease = Math.max(1.3, review.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  review.quality = quality;
+  review.due = startOfDay(session.date || Date.now()) + review.interval * DAY_MS;
+  card.review = review;
+}
+
+// Replay the whole session history, e.g. after a session was edited or
+// removed
+function rebuildReview(card) {
+  card.review = null;
+  (card.sessions || []).slice().sort((a, b) => (a.date || 0) - (b.date || 0)).forEach(sess => {
+    scheduleReview(card, sess);
+  });
+}
+
+// Bucket cards for the Today view. Never-practiced cards are "new".
+function buildPracticeQueue(cards, now) {
+  const today = startOfDay(now);
+  const queue = { overdue: [], due: [], fresh: [], upcoming: [] };
+  cards.forEach(card => {
+    if (!card.review) queue.fresh.push(card);
+    else if (card.review.due < today) queue.overdue.push(card);
+    else if (card.review.due < today + DAY_MS) queue.due.push(card);
+    else if (card.review.due < today + 7 * DAY_MS) queue.upcoming.push(card);
+  });
+  const byDue = (a, b) => a.review.due - b.review.due;
+  queue.overdue.sort(byDue);
+  queue.due.sort((a, b) => a.review.quality - b.review.quality);
+  queue.upcoming.sort(byDue);
+  queue.fresh.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  return queue;
+}
+
+/* UI rendering functions */
+
+// Empty #main before rendering a new view, running the previous view's
+// cleanup callbacks so audio and timers don't outlive it.
+function clearView(main) {
+  viewCleanups.splice(0).forEach(fn => {
+    try {
+      fn();
+    } catch (err) {
+      console.warn('View cleanup failed', err);
+    }
+  });
+  main.innerHTML = '';
+}
+
+function onViewCleanup(fn) {
+  viewCleanups.push(fn);
+}
+
+// Brief message with an Undo button. It outlives view changes (a delete
+// usually navigates away) and a newer toast replaces it.
+let toastTimer = null;
+
+function showUndoToast(message, undo) {
+  let toast = document.getElementById('undoToast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'undoToast';
+    document.body.appendChild(toast);
+  }
+  toast.innerHTML = '';
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+  const undoBtn = document.createElement('button');
+  undoBtn.type = 'button';
+  undoBtn.textContent = 'Undo';
+  toast.appendChild(undoBtn);
+  toast.classList.remove('hidden');
+  clearTimeout(toastTimer);
+  const hide = () => {
+    clearTimeout(toastTimer);
+    toast.classList.add('hidden');
+  };
+  toastTimer = setTimeout(hide, 8000);
+  undoBtn.addEventListener('click', async () => {
+    hide();
+    try {
+      await undo();
+    } catch (err) {
+      console.error('Undo failed', err);
+      alert('Could not undo.');
+    }
+  });
+}
+
+async function loadCards() {
+  const cards = await getAllCards();
+  renderCardList(cards);
+}
+
+function cardMaxTempo(card) {
+  let maxTempo = 0;
+  if (Array.isArray(card.sessions)) {
+    card.sessions.forEach(sess => {
+      if (Array.isArray(sess.temposAchieved)) {
+        const localMax = Math.max(...sess.temposAchieved, 0);
+        if (localMax > maxTempo) maxTempo = localMax;
+      }
+    });
+  }
+  return maxTempo;
+}
+
+function cardLastPracticed(card) {
+  return (card.sessions || []).reduce((last, sess) => Math.max(last, sess.date || 0), 0);
+}
+
+const CARD_SORTS = {
+  updated: { label: 'Recently updated', compare: (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) },
+  title: { label: 'Title', compare: (a, b) => (a.title || '').localeCompare(b.title || '') },
+  created: { label: 'Newest first', compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+  practiced: { label: 'Last practiced', compare: (a, b) => cardLastPracticed(b) - cardLastPracticed(a) },
+  tempo: { label: 'Max tempo', compare: (a, b) => cardMaxTempo(b) - cardMaxTempo(a) },
+  least: {
+    label: 'Least practiced',
+    compare: (a, b) => ((a.sessions || []).length - (b.sessions || []).length) ||
+      (cardLastPracticed(a) - cardLastPracticed(b))
+  }
+};
+
+// Search, filters and sort for the card list, remembered between launches
+function loadListView() {
+  const defaults = { query: '', tags: [], circleOfFifths: '', chromatic: '', sort: 'updated' };
+  try {
+    return Object.assign(defaults, JSON.parse(localStorage.getItem('cardListView')) || {});
+  } catch (err) {
+    return defaults;
+  }
+}
+
+function saveListView(view) {
+  localStorage.setItem('cardListView', JSON.stringify(view));
+}
+
+function filterCards(cards, view) {
+  const query = view.query.trim().toLowerCase();
+  return cards.filter(card => {
+    if (query) {
+      const text = [card.title, card.source, card.comments].filter(Boolean).join(' ').toLowerCase();
+      if (!text.includes(query)) return false;
+    }
+    const tags = card.tags || [];
+    if (!view.tags.every(tag => tags.includes(tag))) return false;
+    return MASTERY_MODES.every(mode => !view[mode] || masterySummary(card, mode).status === view[mode]);
+  });
+}
+
+function renderCardList(cards) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  clearView(main);
+  if (!cards || cards.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = 'No cards yet. Click "Add New Card" to create one.';
+    main.appendChild(p);
+    return;
+  }
+  const view = loadListView();
+  const allTags = Array.from(new Set(cards.flatMap(card => card.tags || []))).sort();
+  // Forget tag filters for tags no card carries any more
+  view.tags = view.tags.filter(tag => allTags.includes(tag));
+  // Toolbar
+  const toolbar = document.createElement('div');
+  toolbar.className = 'list-toolbar';
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search title, source, comments';
+  searchInput.value = view.query;
+  toolbar.appendChild(searchInput);
+  const statusSelects = {};
+  MASTERY_MODES.forEach(mode => {
+    const select = document.createElement('select');
+    [['', `${MASTERY_LABELS[mode]}: any`]].concat(MASTERY_STATUSES.map(st => [st, `${MASTERY_LABELS[mode]}: ${st}`])).forEach(([val, text]) => {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = text;
+      if (view[mode] === val) opt.selected = true;
+      select.appendChild(opt);
+    });
+    statusSelects[mode] = select;
+    toolbar.appendChild(select);
+  });
+  const sortSelect = document.createElement('select');
+  Object.keys(CARD_SORTS).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = 'Sort: ' + CARD_SORTS[key].label;
+    if (view.sort === key) opt.selected = true;
+    sortSelect.appendChild(opt);
+  });
+  toolbar.appendChild(sortSelect);
+  main.appendChild(toolbar);
+  if (allTags.length > 0) {
+    const chips = document.createElement('div');
+    chips.className = 'tag-chips';
+    allTags.forEach(tag => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-chip' + (view.tags.includes(tag) ? ' active' : '');
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        view.tags = view.tags.includes(tag) ? view.tags.filter(t => t !== tag) : view.tags.concat(tag);
+        chip.classList.toggle('active', view.tags.includes(tag));
+        update();
+      });
+      chips.appendChild(chip);
+    });
+    main.appendChild(chips);
+  }
+  const list = document.createElement('div');
+  list.className = 'card-list';
+  main.appendChild(list);
+
+  function update() {
+    saveListView(view);
+    renderCards();
+  }
+
+  function renderCards() {
+    list.innerHTML = '';
+    const shown = filterCards(cards, view);
+    shown.sort((CARD_SORTS[view.sort] || CARD_SORTS.updated).compare);
+    if (shown.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No cards match these filters.';
+      list.appendChild(p);
+      return;
+    }
+    shown.forEach(card => {
+      const cardDiv = document.createElement('div');
+      cardDiv.className = 'card';
+      // Title
+      const h3 = document.createElement('h3');
+      h3.textContent = card.title || 'Untitled';
+      h3.style.cursor = 'pointer';
+      h3.addEventListener('click', () => navigate(cardPath(card.id)));
+      cardDiv.appendChild(h3);
+      // Progress badges
+      const progressDiv = document.createElement('div');
+      progressDiv.className = 'progress';
+      MASTERY_MODES.forEach(mode => {
+        const summary = masterySummary(card, mode);
+        const badge = document.createElement('span');
+        badge.className = 'badge ' + summary.status;
+        badge.textContent = `${MASTERY_LABELS[mode]} ${summary.mastered}/${KEY_NAMES.length}`;
+        progressDiv.appendChild(badge);
+      });
+      cardDiv.appendChild(progressDiv);
+      // Max tempo
+      const maxTempo = cardMaxTempo(card);
+      const tempoP = document.createElement('p');
+      tempoP.textContent = maxTempo > 0 ? `Max Tempo: ${maxTempo} BPM` : 'No sessions';
+      cardDiv.appendChild(tempoP);
+      list.appendChild(cardDiv);
+    });
+  }
+
+  searchInput.addEventListener('input', () => {
+    view.query = searchInput.value;
+    update();
+  });
+  MASTERY_MODES.forEach(mode => {
+    statusSelects[mode].addEventListener('change', () => {
+      view[mode] = statusSelects[mode].value;
+      update();
+    });
+  });
+  sortSelect.addEventListener('change', () => {
+    view.sort = sortSelect.value;
+    update();
+  });
+  renderCards();
+}
+
+/* Waveform trim editor */
+
+// Min/max peaks per block of samples, computed once per buffer so redraws
+// while dragging stay cheap even on long recordings
+const PEAK_BLOCK = 256;
+
+function computePeaks(buffer) {
+  const blocks = Math.ceil(buffer.length / PEAK_BLOCK);
+  const min = new Float32Array(blocks);
+  const max = new Float32Array(blocks);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let b = 0; b < blocks; b++) {
+      let lo = min[b];
+      let hi = max[b];
+      const end = Math.min(data.length, (b + 1) * PEAK_BLOCK);
+      for (let i = b * PEAK_BLOCK; i < end; i++) {
+        if (data[i] < lo) lo = data[i];
+        if (data[i] > hi) hi = data[i];
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+  }
+  return { min, max };
+}
+
+// Nearest rising or falling zero crossing within 10ms of sec
+function snapToZeroCrossing(buffer, sec) {
+  const data = buffer.getChannelData(0);
+  const center = Math.round(sec * buffer.sampleRate);
+  const reach = Math.round(0.01 * buffer.sampleRate);
+  for (let d = 0; d <= reach; d++) {
+    for (const i of [center - d, center + d]) {
+      if (i > 0 && i < data.length && (data[i - 1] <= 0) !== (data[i] <= 0)) {
+        return i / buffer.sampleRate;
+      }
+    }
+  }
+  return sec;
+}
+
+// Zoomable waveform with draggable start/end markers. Drag a marker to move
+// it, drag elsewhere to scroll when zoomed, tap to move the nearest marker.
+// onChange receives { startSec, endSec } whenever the markers move.
+function createWaveformEditor(buffer, range, onChange) {
+  const duration = buffer.duration;
+  const peaks = computePeaks(buffer);
+  const editor = {
+    element: document.createElement('div'),
+    getRange: () => ({ startSec: start, endSec: end }),
+    setRange: null,
+    redraw: null,
+    dispose: null
+  };
+  let start = Math.min(Math.max(0, range.startSec || 0), duration);
+  let end = range.endSec > start ? Math.min(range.endSec, duration) : duration;
+  let viewStart = 0;
+  let viewEnd = duration;
+  let playhead = null;
+  let previewSrc = null;
+  let frame = null;
+
+  const element = editor.element;
+  element.className = 'waveform-editor';
+  const canvas = document.createElement('canvas');
+  canvas.height = 120;
+  element.appendChild(canvas);
+  const info = document.createElement('div');
+  info.className = 'waveform-info';
+  element.appendChild(info);
+  const zoomRow = document.createElement('div');
+  zoomRow.className = 'loop-row';
+  const makeBtn = (text, title) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    if (title) btn.title = title;
+    return btn;
+  };
+  const zoomOutBtn = makeBtn('−', 'Zoom out');
+  const zoomInBtn = makeBtn('+', 'Zoom in');
+  const fitBtn = makeBtn('Fit', 'Show the whole recording');
+  const selBtn = makeBtn('Zoom to phrase');
+  zoomRow.appendChild(zoomOutBtn);
+  zoomRow.appendChild(zoomInBtn);
+  zoomRow.appendChild(fitBtn);
+  zoomRow.appendChild(selBtn);
+  const snapLbl = document.createElement('label');
+  const snapCb = document.createElement('input');
+  snapCb.type = 'checkbox';
+  snapCb.checked = true;
+  snapLbl.appendChild(snapCb);
+  snapLbl.appendChild(document.createTextNode(' Snap to zero crossing'));
+  zoomRow.appendChild(snapLbl);
+  element.appendChild(zoomRow);
+  const nudgeRow = document.createElement('div');
+  nudgeRow.className = 'loop-row';
+  const stepSelect = document.createElement('select');
+  [['0.001', '1 ms'], ['0.01', '10 ms'], ['0.1', '100 ms']].forEach(([val, text]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = text;
+    if (val === '0.01') opt.selected = true;
+    stepSelect.appendChild(opt);
+  });
+  const startBack = makeBtn('◀', 'Move start earlier');
+  const startFwd = makeBtn('▶', 'Move start later');
+  const startPlay = makeBtn('Play from start');
+  const endBack = makeBtn('◀', 'Move end earlier');
+  const endFwd = makeBtn('▶', 'Move end later');
+  const endPlay = makeBtn('Play to end', 'Play the last second up to the end marker');
+  const startLbl = document.createElement('span');
+  startLbl.textContent = 'Start';
+  const endLbl = document.createElement('span');
+  endLbl.textContent = 'End';
+  [startLbl, startBack, startFwd, startPlay, endLbl, endBack, endFwd, endPlay, stepSelect].forEach(el => {
+    nudgeRow.appendChild(el);
+  });
+  element.appendChild(nudgeRow);
+
+  const secToX = sec => (sec - viewStart) / (viewEnd - viewStart) * canvas.width;
+  const xToSec = x => viewStart + x / canvas.width * (viewEnd - viewStart);
+
+  function draw() {
+    const ratio = window.devicePixelRatio || 1;
+    const cssWidth = canvas.clientWidth || 300;
+    if (canvas.width !== Math.round(cssWidth * ratio)) {
+      canvas.width = Math.round(cssWidth * ratio);
+      canvas.height = Math.round(120 * ratio);
+    }
+    const g = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const mid = height / 2;
+    g.fillStyle = '#fafafa';
+    g.fillRect(0, 0, width, height);
+    // Selected phrase
+    g.fillStyle = 'rgba(76, 175, 80, 0.15)';
+    g.fillRect(secToX(start), 0, secToX(end) - secToX(start), height);
+    // Waveform: raw samples when zoomed in far, block peaks otherwise
+    g.fillStyle = '#555';
+    const samplesPerPx = (viewEnd - viewStart) * buffer.sampleRate / width;
+    const data = buffer.getChannelData(0);
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor((viewStart * buffer.sampleRate) + x * samplesPerPx);
+      const to = Math.max(from + 1, Math.floor(from + samplesPerPx));
+      let lo = 0;
+      let hi = 0;
+      if (samplesPerPx < PEAK_BLOCK) {
+        for (let i = from; i < to && i < data.length; i++) {
+          if (data[i] < lo) lo = data[i];
+          if (data[i] > hi) hi = data[i];
+        }
+      } else {
+        const last = Math.min(peaks.min.length, Math.ceil(to / PEAK_BLOCK));
+        for (let b = Math.floor(from / PEAK_BLOCK); b < last; b++) {
+          if (peaks.min[b] < lo) lo = peaks.min[b];
+          if (peaks.max[b] > hi) hi = peaks.max[b];
+        }
+      }
+      g.fillRect(x, mid - hi * mid, 1, Math.max(1, (hi - lo) * mid));
+    }
+    // Markers with grab tabs
+    [[start, '#4caf50'], [end, '#f44336']].forEach(([sec, color]) => {
+      const x = secToX(sec);
+      g.fillStyle = color;
+      g.fillRect(x - ratio, 0, 2 * ratio, height);
+      g.fillRect(x - 6 * ratio, 0, 12 * ratio, 14 * ratio);
+    });
+    if (playhead !== null) {
+      g.fillStyle = '#2196f3';
+      g.fillRect(secToX(playhead) - ratio / 2, 0, ratio, height);
+    }
+    info.textContent = `Start ${start.toFixed(3)}s · End ${end.toFixed(3)}s · Length ${(end - start).toFixed(3)}s`;
+  }
+
+  function setView(from, to) {
+    const span = Math.min(duration, Math.max(0.05, to - from));
+    viewStart = Math.min(Math.max(0, from), duration - span);
+    viewEnd = viewStart + span;
+    draw();
+  }
+
+  function zoom(factor, centerSec) {
+    const center = centerSec === undefined ? (viewStart + viewEnd) / 2 : centerSec;
+    const from = center - (center - viewStart) * factor;
+    setView(from, from + (viewEnd - viewStart) * factor);
+  }
+
+  // Move one marker, keeping at least 10ms between them
+  function moveMarker(which, sec, snap) {
+    const t = snap && snapCb.checked ? snapToZeroCrossing(buffer, sec) : sec;
+    if (which === 'start') start = Math.min(Math.max(0, t), end - 0.01);
+    else end = Math.max(Math.min(duration, t), start + 0.01);
+    draw();
+    onChange({ startSec: start, endSec: end });
+  }
+
+  function stopPreview() {
+    if (previewSrc) {
+      previewSrc.onended = null;
+      try {
+        previewSrc.stop();
+      } catch (err) {
+        // already stopped
+      }
+    }
+    previewSrc = null;
+    cancelAnimationFrame(frame);
+    playhead = null;
+    draw();
+  }
+
+  function preview(fromSec, toSec) {
+    stopPreview();
+    const ctx = getAudioContext();
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.connect(ctx.destination);
+    const startedAt = ctx.currentTime;
+    src.start(0, fromSec, Math.max(0.01, toSec - fromSec));
+    src.onended = stopPreview;
+    previewSrc = src;
+    const tickPlayhead = () => {
+      playhead = fromSec + ctx.currentTime - startedAt;
+      draw();
+      frame = requestAnimationFrame(tickPlayhead);
+    };
+    tickPlayhead();
+  }
+
+  // Dragging
+  let drag = null;
+  canvas.style.touchAction = 'none';
+  canvas.addEventListener('pointerdown', e => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * canvas.width / rect.width;
+    const grab = 16 * (window.devicePixelRatio || 1);
+    const dStart = Math.abs(x - secToX(start));
+    const dEnd = Math.abs(x - secToX(end));
+    let mode = 'pan';
+    if (Math.min(dStart, dEnd) <= grab) mode = dStart <= dEnd ? 'start' : 'end';
+    drag = { mode, x, viewStart, moved: false, nearest: dStart <= dEnd ? 'start' : 'end' };
+    canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener('pointermove', e => {
+    if (!drag) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * canvas.width / rect.width;
+    if (Math.abs(x - drag.x) > 3) drag.moved = true;
+    if (drag.mode === 'pan') {
+      const dt = (x - drag.x) / canvas.width * (viewEnd - viewStart);
+      setView(drag.viewStart - dt, drag.viewStart - dt + (viewEnd - viewStart));
+    } else {
+      moveMarker(drag.mode, xToSec(x), false);
+    }
+  });
+  canvas.addEventListener('pointerup', e => {
+    if (!drag) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * canvas.width / rect.width;
+    if (drag.mode !== 'pan') moveMarker(drag.mode, xToSec(x), true);
+    else if (!drag.moved) moveMarker(drag.nearest, xToSec(x), true);
+    drag = null;
+  });
+  canvas.addEventListener('pointercancel', () => {
+    drag = null;
+  });
+  canvas.addEventListener('wheel', e => {
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * canvas.width / rect.width;
+    zoom(e.deltaY > 0 ? 1.25 : 0.8, xToSec(x));
+  }, { passive: false });
+
+  zoomInBtn.addEventListener('click', () => zoom(0.5));
+  zoomOutBtn.addEventListener('click', () => zoom(2));
+  fitBtn.addEventListener('click', () => setView(0, duration));
+  selBtn.addEventListener('click', () => {
+    const pad = (end - start) * 0.1;
+    setView(start - pad, end + pad);
+  });
+  const step = () => parseFloat(stepSelect.value);
+  startBack.addEventListener('click', () => moveMarker('start', start - step(), false));
+  startFwd.addEventListener('click', () => moveMarker('start', start + step(), false));
+  endBack.addEventListener('click', () => moveMarker('end', end - step(), false));
+  endFwd.addEventListener('click', () => moveMarker('end', end + step(), false));
+  startPlay.addEventListener('click', () => preview(start, end));
+  endPlay.addEventListener('click', () => preview(Math.max(start, end - 1), end));
+
+  // Canvas pixel width follows its layout width
+  const observer = window.ResizeObserver ? new ResizeObserver(() => draw()) : null;
+  if (observer) observer.observe(canvas);
+  else window.addEventListener('resize', draw);
+
+  editor.setRange = next => {
+    start = Math.min(Math.max(0, next.startSec || 0), duration);
+    end = next.endSec > start ? Math.min(next.endSec, duration) : duration;
+    draw();
+  };
+  editor.redraw = draw;
+  editor.dispose = () => {
+    stopPreview();
+    if (observer) observer.disconnect();
+    else window.removeEventListener('resize', draw);
+  };
+  onViewCleanup(editor.dispose);
+  draw();
+  return editor;
+}
+
+// Put a waveform editor for buffer into slot, kept in sync both ways with
+// the exact start/end number inputs
+function mountWaveformEditor(slot, buffer, startInput, endInput) {
+  const editor = createWaveformEditor(buffer, {
+    startSec: parseFloat(startInput.value) || 0,
+    endSec: parseFloat(endInput.value) || 0
+  }, range => {
+    startInput.value = range.startSec.toFixed(3);
+    endInput.value = range.endSec.toFixed(3);
+  });
+  const fromInputs = () => {
+    editor.setRange({
+      startSec: parseFloat(startInput.value) || 0,
+      endSec: parseFloat(endInput.value) || 0
+    });
+  };
+  startInput.addEventListener('change', fromInputs);
+  endInput.addEventListener('change', fromInputs);
+  slot.innerHTML = '';
+  slot.classList.remove('hint');
+  slot.appendChild(editor.element);
+  editor.redraw();
+  return editor;
+}
+
+// Number inputs for exact trim times, tucked away under the waveform
+function createExactTimesDetails(startInput, endInput) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'Exact times (sec)';
+  details.appendChild(summary);
+  details.appendChild(startInput);
+  details.appendChild(endInput);
+  return details;
+}
+
+// Add a card, either from a newly uploaded file or as another phrase cut
+// from an existing recording (preselected when recordingId is given)
+// shared: { file, title } of audio shared from another app, loaded as if
+// it had been picked with the file input
+async function showAddView(recordingId, shared) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  selectedFile = null;
+  const recordings = await getAllRecordings();
+  const usage = {};
+  (await getAllCards()).forEach(c => {
+    if (c.recordingId) usage[c.recordingId] = (usage[c.recordingId] || 0) + 1;
+  });
+  const storageWarning = await getStorageWarning();
+  clearView(main);
+  // Form container
+  const container = document.createElement('div');
+  // Header
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Add New Card';
+  container.appendChild(h2);
+  if (storageWarning) {
+    const warning = document.createElement('p');
+    warning.className = 'storage-warning';
+    warning.textContent = storageWarning;
+    container.appendChild(warning);
+  }
+  // Recording choice
+  const recordingGroup = document.createElement('div');
+  recordingGroup.className = 'form-group';
+  const recordingLabel = document.createElement('label');
+  recordingLabel.textContent = 'Audio';
+  recordingLabel.setAttribute('for', 'recordingSelect');
+  const recordingSelect = document.createElement('select');
+  recordingSelect.id = 'recordingSelect';
+  const uploadOpt = document.createElement('option');
+  uploadOpt.value = '';
+  uploadOpt.textContent = 'Upload or record new audio';
+  recordingSelect.appendChild(uploadOpt);
+  recordings.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  recordings.forEach(rec => {
+    const opt = document.createElement('option');
+    opt.value = rec.id;
+    const count = usage[rec.id] || 0;
+    opt.textContent = `${rec.name} (${count} card${count === 1 ? '' : 's'})`;
+    if (rec.id === recordingId) opt.selected = true;
+    recordingSelect.appendChild(opt);
+  });
+  recordingGroup.appendChild(recordingLabel);
+  recordingGroup.appendChild(recordingSelect);
+  container.appendChild(recordingGroup);
+  // File input
+  const fileGroup = document.createElement('div');
+  fileGroup.className = 'form-group';
+  const fileLabel = document.createElement('label');
+  fileLabel.textContent = 'Audio File';
+  fileLabel.setAttribute('for', 'fileInput');
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'audio/*';
+  fileInput.id = 'fileInput';
+  fileGroup.appendChild(fileLabel);
+  fileGroup.appendChild(fileInput);
+  if (shared) {
+    const sharedHint = document.createElement('p');
+    sharedHint.className = 'hint';
+    sharedHint.textContent = `Shared from another app: ${shared.file.name}`;
+    fileGroup.appendChild(sharedHint);
+  }
+  // ...or capture it from the microphone
+  const micRow = document.createElement('div');
+  micRow.className = 'loop-row';
+  const micBtn = document.createElement('button');
+  micBtn.type = 'button';
+  micBtn.textContent = 'Record from Microphone';
+  micRow.appendChild(micBtn);
+  const micMeter = createLevelMeter();
+  micRow.appendChild(micMeter.element);
+  const micTime = document.createElement('span');
+  micTime.className = 'loop-counter';
+  micRow.appendChild(micTime);
+  fileGroup.appendChild(micRow);
+  container.appendChild(fileGroup);
+  // Audio preview
+  const audioPreview = document.createElement('audio');
+  audioPreview.controls = true;
+  audioPreview.id = 'audioPreview';
+  audioPreview.classList.add('hidden');
+  container.appendChild(audioPreview);
+  // Trim inputs
+  const trimGroup = document.createElement('div');
+  trimGroup.className = 'form-group';
+  const trimLabel = document.createElement('label');
+  trimLabel.textContent = 'Trim';
+  trimGroup.appendChild(trimLabel);
+  const waveformSlot = document.createElement('div');
+  waveformSlot.className = 'hint';
+  waveformSlot.textContent = 'Choose an audio file to see its waveform.';
+  trimGroup.appendChild(waveformSlot);
+  const startInput = document.createElement('input');
+  startInput.type = 'number';
+  startInput.step = '0.001';
+  startInput.min = '0';
+  startInput.id = 'startSec';
+  startInput.value = '0';
+  const endInput = document.createElement('input');
+  endInput.type = 'number';
+  endInput.step = '0.001';
+  endInput.min = '0';
+  endInput.id = 'endSec';
+  endInput.value = '0';
+  trimGroup.appendChild(createExactTimesDetails(startInput, endInput));
+  // Keep just the phrase instead of the whole file
+  const clipRow = document.createElement('div');
+  clipRow.className = 'loop-row';
+  const clipLbl = document.createElement('label');
+  const clipCb = document.createElement('input');
+  clipCb.type = 'checkbox';
+  clipLbl.appendChild(clipCb);
+  clipLbl.appendChild(document.createTextNode(' Store only the trimmed phrase'));
+  clipRow.appendChild(clipLbl);
+  const padLbl = document.createElement('label');
+  padLbl.textContent = 'Padding (sec) ';
+  const padInput = document.createElement('input');
+  padInput.type = 'number';
+  padInput.min = '0';
+  padInput.step = '0.1';
+  padInput.value = '0.5';
+  padLbl.appendChild(padInput);
+  clipRow.appendChild(padLbl);
+  trimGroup.appendChild(clipRow);
+  const clipHint = document.createElement('p');
+  clipHint.className = 'hint';
+  clipHint.textContent = 'Saves space on the device. The rest of the audio is not kept, so the trim can only be widened by the padding later.';
+  trimGroup.appendChild(clipHint);
+  container.appendChild(trimGroup);
+  // Title
+  const titleGroup = document.createElement('div');
+  titleGroup.className = 'form-group';
+  const titleLabel = document.createElement('label');
+  titleLabel.textContent = 'Title';
+  titleLabel.setAttribute('for', 'titleInput');
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.id = 'titleInput';
+  titleGroup.appendChild(titleLabel);
+  titleGroup.appendChild(titleInput);
+  container.appendChild(titleGroup);
+  // Source
+  const sourceGroup = document.createElement('div');
+  sourceGroup.className = 'form-group';
+  const sourceLabel = document.createElement('label');
+  sourceLabel.textContent = 'Source (optional)';
+  sourceLabel.setAttribute('for', 'sourceInput');
+  const sourceInput = document.createElement('input');
+  sourceInput.type = 'text';
+  sourceInput.id = 'sourceInput';
+  sourceGroup.appendChild(sourceLabel);
+  sourceGroup.appendChild(sourceInput);
+  container.appendChild(sourceGroup);
+  // BPM Target
+  const bpmGroup = document.createElement('div');
+  bpmGroup.className = 'form-group';
+  const bpmLabel = document.createElement('label');
+  bpmLabel.textContent = 'Target BPM (optional)';
+  bpmLabel.setAttribute('for', 'bpmTarget');
+  const bpmInput = document.createElement('input');
+  bpmInput.type = 'number';
+  bpmInput.id = 'bpmTarget';
+  bpmInput.min = '0';
+  bpmGroup.appendChild(bpmLabel);
+  bpmGroup.appendChild(bpmInput);
+  container.appendChild(bpmGroup);
+  // Tempo of the recording itself, used to express playback speed as BPM
+  const origBpmGroup = document.createElement('div');
+  origBpmGroup.className = 'form-group';
+  const origBpmLabel = document.createElement('label');
+  origBpmLabel.textContent = 'Recording Tempo (BPM, optional)';
+  origBpmLabel.setAttribute('for', 'originalBpm');
+  const origBpmInput = document.createElement('input');
+  origBpmInput.type = 'number';
+  origBpmInput.id = 'originalBpm';
+  origBpmInput.min = '0';
+  origBpmGroup.appendChild(origBpmLabel);
+  origBpmGroup.appendChild(origBpmInput);
+  const tempoHint = document.createElement('p');
+  tempoHint.className = 'hint';
+  origBpmGroup.appendChild(tempoHint);
+  container.appendChild(origBpmGroup);
+  // Key of the recording, the starting point for transposition
+  const keyGroup = document.createElement('div');
+  keyGroup.className = 'form-group';
+  const keyLabel = document.createElement('label');
+  keyLabel.textContent = 'Recording Key';
+  keyLabel.setAttribute('for', 'keySelect');
+  const keySelect = createKeySelect('C');
+  keySelect.id = 'keySelect';
+  keyGroup.appendChild(keyLabel);
+  keyGroup.appendChild(keySelect);
+  container.appendChild(keyGroup);
+  // Comments
+  const commentsGroup = document.createElement('div');
+  commentsGroup.className = 'form-group';
+  const commentsLabel = document.createElement('label');
+  commentsLabel.textContent = 'Comments';
+  commentsLabel.setAttribute('for', 'commentsInput');
+  const commentsInput = document.createElement('textarea');
+  commentsInput.id = 'commentsInput';
+  commentsGroup.appendChild(commentsLabel);
+  commentsGroup.appendChild(commentsInput);
+  container.appendChild(commentsGroup);
+  // Tags
+  const tagsGroup = document.createElement('div');
+  tagsGroup.className = 'form-group';
+  const tagsLabel = document.createElement('label');
+  tagsLabel.textContent = 'Tags (comma separated)';
+  tagsLabel.setAttribute('for', 'tagsInput');
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.id = 'tagsInput';
+  tagsGroup.appendChild(tagsLabel);
+  tagsGroup.appendChild(tagsInput);
+  container.appendChild(tagsGroup);
+  // Mastery statuses
+  const masteryGroup = document.createElement('div');
+  masteryGroup.className = 'form-group';
+  const masteryLabel = document.createElement('label');
+  masteryLabel.textContent = 'Mastery';
+  masteryGroup.appendChild(masteryLabel);
+  // Circle
+  const circleLabel = document.createElement('label');
+  circleLabel.textContent = 'Circle of Fifths (all keys)';
+  circleLabel.setAttribute('for', 'circleStatus');
+  const circleSelect = document.createElement('select');
+  circleSelect.id = 'circleStatus';
+  ['not_started','in_progress','mastered'].forEach(val => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = val;
+    circleSelect.appendChild(opt);
+  });
+  masteryGroup.appendChild(circleLabel);
+  masteryGroup.appendChild(circleSelect);
+  // Chromatic
+  const chromLabel = document.createElement('label');
+  chromLabel.textContent = 'Chromatic (all keys)';
+  chromLabel.setAttribute('for', 'chromStatus');
+  const chromSelect = document.createElement('select');
+  chromSelect.id = 'chromStatus';
+  ['not_started','in_progress','mastered'].forEach(val => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = val;
+    chromSelect.appendChild(opt);
+  });
+  masteryGroup.appendChild(chromLabel);
+  masteryGroup.appendChild(chromSelect);
+  container.appendChild(masteryGroup);
+  // Buttons
+  const buttonGroup = document.createElement('div');
+  buttonGroup.className = 'button-group';
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save';
+  saveBtn.type = 'button';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.type = 'button';
+  buttonGroup.appendChild(saveBtn);
+  buttonGroup.appendChild(cancelBtn);
+  container.appendChild(buttonGroup);
+  main.appendChild(container);
+  // Event listeners
+  let waveform = null;
+  let selectedRecordingId = null;
+  // The blob currently loaded, so a slow decode can't overwrite a newer pick
+  let shownBlob = null;
+  let shownBuffer = null;
+  async function showAudio(blob, decodeKey) {
+    shownBlob = blob;
+    shownBuffer = null;
+    const url = URL.createObjectURL(blob);
+    audioPreview.src = url;
+    audioPreview.classList.remove('hidden');
+    // Wait for metadata to set duration
+    audioPreview.onloadedmetadata = () => {
+      const duration = audioPreview.duration;
+      startInput.min = '0';
+      startInput.max = duration.toFixed(3);
+      endInput.min = '0';
+      endInput.max = duration.toFixed(3);
+      // The waveform sets the values itself once decoded
+      if (!waveform) {
+        startInput.value = '0';
+        endInput.value = duration.toFixed(3);
+      }
+    };
+    audioPreview.load();
+    if (waveform) waveform.dispose();
+    waveform = null;
+    waveformSlot.classList.add('hint');
+    waveformSlot.textContent = 'Loading waveform…';
+    let buffer;
+    try {
+      buffer = decodeKey ? await decodeBlob(decodeKey, blob) : await decodeAudioData(await blob.arrayBuffer());
+      if (shownBlob !== blob) return;
+      shownBuffer = buffer;
+      startInput.value = '0';
+      endInput.value = buffer.duration.toFixed(3);
+      waveform = mountWaveformEditor(waveformSlot, buffer, startInput, endInput);
+    } catch (err) {
+      console.warn('Could not decode audio for the waveform', err);
+      waveformSlot.textContent = 'Could not draw a waveform for this file; use the exact times below.';
+      return;
+    }
+    detectTempo(blob, buffer);
+  }
+  // Fill in the recording tempo unless it was typed by hand. The first
+  // 90 seconds are plenty and keep long tracks quick.
+  let detectedBpm = '';
+  async function detectTempo(blob, buffer) {
+    tempoHint.textContent = 'Detecting tempo…';
+    // Let the waveform paint before the analysis blocks the thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (shownBlob !== blob) return;
+    try {
+      const tempo = estimateTempo(buffer, 0, Math.min(buffer.duration, 90));
+      tempoHint.textContent = describeTempo(tempo);
+      if (tempo && (!origBpmInput.value || origBpmInput.value === detectedBpm)) {
+        detectedBpm = String(Math.round(tempo.bpm));
+        origBpmInput.value = detectedBpm;
+      }
+    } catch (err) {
+      console.warn('Tempo detection failed', err);
+      tempoHint.textContent = '';
+    }
+  }
+  fileInput.addEventListener('change', e => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    selectedFile = file;
+    showAudio(file, null);
+  });
+  let recorder = null;
+  let micTimer = null;
+  onViewCleanup(() => {
+    if (recorder) recorder.cancel();
+    recorder = null;
+    clearInterval(micTimer);
+  });
+  micBtn.addEventListener('click', async () => {
+    if (recorder) {
+      // Stop: the recording takes the place of an uploaded file
+      const active = recorder;
+      recorder = null;
+      clearInterval(micTimer);
+      micMeter.set(0);
+      micBtn.classList.remove('recording');
+      micBtn.textContent = 'Retake';
+      try {
+        const blob = await active.stop();
+        const name = `Recording ${new Date().toLocaleString()}`;
+        selectedFile = new File([blob], name, { type: blob.type });
+        fileInput.value = '';
+        if (!titleInput.value) titleInput.value = name;
+        showAudio(selectedFile, null);
+      } catch (err) {
+        console.error('Error finishing recording', err);
+        alert('Recording failed.');
+      }
+      return;
+    }
+    audioPreview.pause();
+    micBtn.disabled = true;
+    try {
+      recorder = await startMicRecording({ onLevel: micMeter.set });
+    } catch (err) {
+      console.error('Error starting recording', err);
+      alert('Could not record from the microphone.');
+      return;
+    } finally {
+      micBtn.disabled = false;
+    }
+    if (!container.isConnected) {
+      // The view changed while we waited for microphone permission
+      recorder.cancel();
+      recorder = null;
+      return;
+    }
+    micBtn.textContent = 'Stop Recording';
+    micBtn.classList.add('recording');
+    micTime.textContent = formatDuration(0);
+    micTimer = setInterval(() => {
+      micTime.textContent = formatDuration((Date.now() - recorder.startedAt) / 1000);
+    }, 250);
+  });
+  const onRecordingChange = async () => {
+    selectedRecordingId = recordingSelect.value || null;
+    fileGroup.classList.toggle('hidden', !!selectedRecordingId);
+    if (!selectedRecordingId) {
+      if (selectedFile) {
+        showAudio(selectedFile, null);
+      } else {
+        shownBlob = null;
+        audioPreview.classList.add('hidden');
+        if (waveform) waveform.dispose();
+        waveform = null;
+        waveformSlot.classList.add('hint');
+        waveformSlot.textContent = 'Choose an audio file to see its waveform.';
+      }
+      return;
+    }
+    const blob = await getBlob(selectedRecordingId);
+    if (blob) showAudio(blob, selectedRecordingId);
+  };
+  recordingSelect.addEventListener('change', onRecordingChange);
+  if (recordingSelect.value) onRecordingChange();
+  if (shared) {
+    selectedFile = shared.file;
+    if (!titleInput.value) titleInput.value = shared.title || shared.file.name.replace(/\.[^.]+$/, '');
+    showAudio(selectedFile, null);
+  }
+  saveBtn.addEventListener('click', async () => {
+    if (recorder) {
+      alert('Stop the recording first.');
+      return;
+    }
+    if (!selectedFile && !selectedRecordingId) {
+      alert('Please choose an audio file or record one.');
+      return;
+    }
+    const id = newId();
+    const title = titleInput.value.trim();
+    const source = sourceInput.value.trim();
+    const bpmTarget = bpmInput.value ? parseInt(bpmInput.value, 10) : null;
+    const originalBpm = origBpmInput.value ? parseFloat(origBpmInput.value) : null;
+    const comments = commentsInput.value.trim();
+    const tags = tagsInput.value.trim() ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : [];
+    const startSecVal = parseFloat(startInput.value) || 0;
+    const endSecVal = parseFloat(endInput.value) || 0;
+    if (startSecVal < 0 || endSecVal <= 0 || endSecVal <= startSecVal) {
+      alert('Please enter valid start and end times.');
+      return;
+    }
+    const card = {
+      id: id,
+      schemaVersion: CARD_SCHEMA_VERSION,
+      title: title,
+      source: source || undefined,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      recordingId: selectedRecordingId || undefined,
+      trim: { startSec: startSecVal, endSec: endSecVal },
+      bpmTarget: bpmTarget || undefined,
+      originalBpm: originalBpm || undefined,
+      key: keySelect.value,
+      comments: comments || undefined,
+      tags: tags,
+      mastery: {
+        circleOfFifths: createKeyMastery(circleSelect.value),
+        chromatic: createKeyMastery(chromSelect.value)
+      },
+      sessions: []
+    };
+    let blob = selectedRecordingId ? null : selectedFile;
+    if (clipCb.checked) {
+      if (!shownBuffer) {
+        alert('The audio could not be decoded, so it can only be stored whole.');
+        return;
+      }
+      const recording = selectedRecordingId ? recordings.find(rec => rec.id === selectedRecordingId) : null;
+      const sourceName = recording ? recording.name : (selectedFile.name || 'Recording');
+      // Encoding plays the phrase through once, silently
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Encoding phrase…';
+      let clip;
+      try {
+        clip = await renderClip(shownBuffer, card.trim, Math.max(0, parseFloat(padInput.value) || 0), `${sourceName} (${title || 'phrase'})`);
+      } catch (err) {
+        console.error('Error encoding phrase', err);
+        alert('Failed to encode the trimmed phrase.');
+        return;
+      } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save';
+      }
+      // Only a file that is already tiny can come out smaller than the clip
+      const sourceSize = recording ? recording.size : selectedFile.size;
+      if (sourceSize && clip.file.size >= sourceSize) {
+        alert('The trimmed phrase would take more space than the whole file; untick "Store only the trimmed phrase".');
+        return;
+      }
+      blob = clip.file;
+      card.trim = clip.trim;
+      // The clip becomes this card's own recording
+      card.recordingId = undefined;
+    }
+    try {
+      await saveCard(card, blob);
+      selectedFile = null;
+      await navigate('#/cards', { replace: true });
+    } catch (err) {
+      console.error('Error saving card', err);
+      alert('Failed to save card.');
+    }
+  });
+  cancelBtn.addEventListener('click', () => {
+    selectedFile = null;
+    goBack('#/cards');
+  });
+}
+
+// Metronome controls: tempo (defaulting to the card's target), tap tempo,
+// time signature, subdivisions and an accented downbeat. The loop panel
+// uses run() to play count-ins with the same settings.
+function createMetronomePanel(card) {
+  const panel = {
+    element: document.createElement('div'),
+    getSettings: null,
+    run: null,
+    stop: null
+  };
+  const element = panel.element;
+  element.className = 'loop-row metronome-panel';
+  const toggleBtn = document.createElement('button');
+  toggleBtn.type = 'button';
+  toggleBtn.textContent = 'Start Metronome';
+  element.appendChild(toggleBtn);
+  const bpmLbl = document.createElement('label');
+  bpmLbl.textContent = 'BPM ';
+  const bpmInput = document.createElement('input');
+  bpmInput.type = 'number';
+  bpmInput.min = '20';
+  bpmInput.max = '400';
+  bpmInput.value = String(card.bpmTarget || Math.round(card.originalBpm || 0) || 100);
+  bpmLbl.appendChild(bpmInput);
+  element.appendChild(bpmLbl);
+  const tapBtn = document.createElement('button');
+  tapBtn.type = 'button';
+  tapBtn.textContent = 'Tap';
+  element.appendChild(tapBtn);
+  const meterLbl = document.createElement('label');
+  meterLbl.textContent = 'Time ';
+  const meterSelect = document.createElement('select');
+  ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '12/8'].forEach(val => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = val;
+    if (val === '4/4') opt.selected = true;
+    meterSelect.appendChild(opt);
+  });
+  meterLbl.appendChild(meterSelect);
+  element.appendChild(meterLbl);
+  const subLbl = document.createElement('label');
+  subLbl.textContent = 'Subdivision ';
+  const subSelect = document.createElement('select');
+  [['1', 'None'], ['2', 'Eighths'], ['3', 'Triplets'], ['4', 'Sixteenths']].forEach(([val, text]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = text;
+    subSelect.appendChild(opt);
+  });
+  subLbl.appendChild(subSelect);
+  element.appendChild(subLbl);
+  const accentLbl = document.createElement('label');
+  const accentCb = document.createElement('input');
+  accentCb.type = 'checkbox';
+  accentCb.checked = true;
+  accentLbl.appendChild(accentCb);
+  accentLbl.appendChild(document.createTextNode(' Accent downbeat'));
+  element.appendChild(accentLbl);
+  const beatDots = document.createElement('span');
+  beatDots.className = 'beat-dots';
+  element.appendChild(beatDots);
+
+  let metronome = null;
+  let taps = [];
+
+  panel.getSettings = () => ({
+    bpm: Math.min(400, Math.max(20, parseFloat(bpmInput.value) || 100)),
+    beatsPerBar: parseInt(meterSelect.value, 10),
+    subdivision: parseInt(subSelect.value, 10),
+    accent: accentCb.checked
+  });
+
+  const drawDots = () => {
+    beatDots.innerHTML = '';
+    for (let i = 0; i < panel.getSettings().beatsPerBar; i++) {
+      beatDots.appendChild(document.createElement('span'));
+    }
+  };
+  drawDots();
+
+  // Start clicking with the current settings plus any overrides (bpm,
+  // maxBeats) and return the audio-clock time of the first beat
+  panel.run = overrides => {
+    panel.stop();
+    metronome = createMetronome(Object.assign(panel.getSettings(), overrides, {
+      onBeat: beat => {
+        Array.from(beatDots.children).forEach((dot, i) => {
+          dot.classList.toggle('active', i === beat);
+        });
+      },
+      onEnd: () => panel.stop()
+    }));
+    toggleBtn.textContent = 'Stop Metronome';
+    return metronome.start();
+  };
+  panel.stop = () => {
+    if (metronome) metronome.dispose();
+    metronome = null;
+    toggleBtn.textContent = 'Start Metronome';
+    Array.from(beatDots.children).forEach(dot => dot.classList.remove('active'));
+  };
+  onViewCleanup(panel.stop);
+
+  const applySettings = () => {
+    drawDots();
+    if (metronome) metronome.update(panel.getSettings());
+  };
+  toggleBtn.addEventListener('click', () => {
+    if (metronome && metronome.isPlaying()) panel.stop();
+    else panel.run({});
+  });
+  bpmInput.addEventListener('change', applySettings);
+  meterSelect.addEventListener('change', applySettings);
+  subSelect.addEventListener('change', applySettings);
+  accentCb.addEventListener('change', applySettings);
+  tapBtn.addEventListener('click', () => {
+    const now = performance.now();
+    // A pause of more than two seconds starts a new tap sequence
+    if (taps.length && now - taps[taps.length - 1] > 2000) taps = [];
+    taps.push(now);
+    taps = taps.slice(-5);
+    if (taps.length < 2) return;
+    const avg = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+    bpmInput.value = String(Math.round(60000 / avg));
+    applySettings();
+  });
+  return panel;
+}
+
+// Controls for looping the trimmed phrase: silent gap between repetitions,
+// a repeat count (or loop forever), playback speed, transposition, key
+// drills and a live repetition counter. getTrim returns the
+// { startSec, endSec } currently shown in the form so unsaved edits can be
+// auditioned.
+function createLoopPanel(card, blob, getTrim) {
+  const originalKey = card.key || 'C';
+  const panel = {
+    element: document.createElement('div'),
+    onStart: null,
+    onSpeedChange: null,
+    onKeyChange: null,
+    // Called with the key and speed of every repetition as it starts
+    onRepeat: null,
+    // Metronome panel used for count-ins; set by the view
+    metronome: null,
+    stop: () => {},
+    getRate: () => 1,
+    getKey: () => originalKey,
+    getBpm: () => null,
+    getDrillMode: () => 'off',
+    // Hands-free actions (see Input bindings)
+    toggle: () => {},
+    restart: () => {},
+    nudgeSpeed: () => {},
+    nextKey: () => {}
+  };
+  const element = panel.element;
+  element.className = 'loop-panel';
+  const transportRow = document.createElement('div');
+  transportRow.className = 'loop-row';
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.textContent = 'Play Trimmed Section';
+  transportRow.appendChild(playBtn);
+  const gapLbl = document.createElement('label');
+  gapLbl.textContent = 'Gap (sec) ';
+  const gapInput = document.createElement('input');
+  gapInput.type = 'number';
+  gapInput.step = '0.1';
+  gapInput.min = '0';
+  gapInput.value = '0.5';
+  gapLbl.appendChild(gapInput);
+  transportRow.appendChild(gapLbl);
+  const repeatsLbl = document.createElement('label');
+  repeatsLbl.textContent = 'Repeats ';
+  const repeatsInput = document.createElement('input');
+  repeatsInput.type = 'number';
+  repeatsInput.min = '1';
+  repeatsInput.value = '10';
+  repeatsLbl.appendChild(repeatsInput);
+  transportRow.appendChild(repeatsLbl);
+  const foreverLbl = document.createElement('label');
+  const foreverCb = document.createElement('input');
+  foreverCb.type = 'checkbox';
+  foreverCb.checked = true;
+  foreverLbl.appendChild(foreverCb);
+  foreverLbl.appendChild(document.createTextNode(' Loop forever'));
+  transportRow.appendChild(foreverLbl);
+  const counter = document.createElement('span');
+  counter.className = 'loop-counter';
+  transportRow.appendChild(counter);
+  element.appendChild(transportRow);
+  // Speed: percentage of the original, or a BPM when the recording's own
+  // tempo is known
+  const speedRow = document.createElement('div');
+  speedRow.className = 'loop-row';
+  const speedLbl = document.createElement('label');
+  speedLbl.textContent = 'Speed ';
+  const speedRange = document.createElement('input');
+  speedRange.type = 'range';
+  speedRange.min = '50';
+  speedRange.max = '150';
+  speedRange.step = '5';
+  speedRange.value = '100';
+  speedLbl.appendChild(speedRange);
+  speedRow.appendChild(speedLbl);
+  const pctLbl = document.createElement('label');
+  const pctInput = document.createElement('input');
+  pctInput.type = 'number';
+  pctInput.min = '25';
+  pctInput.max = '200';
+  pctInput.value = '100';
+  pctLbl.appendChild(pctInput);
+  pctLbl.appendChild(document.createTextNode(' %'));
+  speedRow.appendChild(pctLbl);
+  const bpmLbl = document.createElement('label');
+  const bpmInput = document.createElement('input');
+  bpmInput.type = 'number';
+  bpmInput.min = '1';
+  bpmLbl.appendChild(bpmInput);
+  bpmLbl.appendChild(document.createTextNode(' BPM'));
+  if (!card.originalBpm) {
+    bpmInput.disabled = true;
+    bpmLbl.title = 'Set the recording tempo on this card to choose a BPM';
+  }
+  speedRow.appendChild(bpmLbl);
+  element.appendChild(speedRow);
+  // Key: transpose the phrase, or drill it through all 12 keys
+  const keyRow = document.createElement('div');
+  keyRow.className = 'loop-row';
+  const keyLbl = document.createElement('label');
+  keyLbl.textContent = 'Key ';
+  const keySelect = createKeySelect(originalKey);
+  keyLbl.appendChild(keySelect);
+  keyRow.appendChild(keyLbl);
+  const drillLbl = document.createElement('label');
+  drillLbl.textContent = 'Drill ';
+  const drillSelect = document.createElement('select');
+  [['off', 'Off'], ['circleOfFifths', 'Circle of fifths'], ['chromatic', 'Chromatic']].forEach(([val, text]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = text;
+    drillSelect.appendChild(opt);
+  });
+  drillLbl.appendChild(drillSelect);
+  keyRow.appendChild(drillLbl);
+  const perKeyLbl = document.createElement('label');
+  perKeyLbl.textContent = 'Loops per key ';
+  const perKeyInput = document.createElement('input');
+  perKeyInput.type = 'number';
+  perKeyInput.min = '1';
+  perKeyInput.value = '4';
+  perKeyLbl.appendChild(perKeyInput);
+  keyRow.appendChild(perKeyLbl);
+  const speakLbl = document.createElement('label');
+  const speakCb = document.createElement('input');
+  speakCb.type = 'checkbox';
+  speakLbl.appendChild(speakCb);
+  speakLbl.appendChild(document.createTextNode(' Speak key'));
+  keyRow.appendChild(speakLbl);
+  element.appendChild(keyRow);
+  // Count-in from the metronome before the first repetition
+  const clickRow = document.createElement('div');
+  clickRow.className = 'loop-row';
+  const countInLbl = document.createElement('label');
+  countInLbl.textContent = 'Count-in ';
+  const countInSelect = document.createElement('select');
+  [['0', 'Off'], ['1', '1 bar'], ['2', '2 bars']].forEach(([val, text]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = text;
+    countInSelect.appendChild(opt);
+  });
+  countInLbl.appendChild(countInSelect);
+  clickRow.appendChild(countInLbl);
+  const clickLbl = document.createElement('label');
+  const clickCb = document.createElement('input');
+  clickCb.type = 'checkbox';
+  clickLbl.appendChild(clickCb);
+  clickLbl.appendChild(document.createTextNode(' Click during loop'));
+  clickRow.appendChild(clickLbl);
+  if (card.originalBpm) {
+    const clickHint = document.createElement('span');
+    clickHint.className = 'hint';
+    clickHint.textContent = 'Clicks follow the loop tempo';
+    clickRow.appendChild(clickHint);
+  }
+  element.appendChild(clickRow);
+  const announce = document.createElement('div');
+  announce.className = 'drill-announce hidden';
+  element.appendChild(announce);
+
+  let player = null;
+  let clicksStarted = false;
+  let speedPct = 100;
+  let currentKey = originalKey;
+  // Rendered segments keyed by trim, speed and transposition
+  const renderCache = new Map();
+  const setIdle = () => {
+    playBtn.textContent = 'Play Trimmed Section';
+    [speedRange, pctInput, keySelect, drillSelect, perKeyInput].forEach(el => { el.disabled = false; });
+    bpmInput.disabled = !card.originalBpm;
+    syncRepeatInputs();
+  };
+  const syncRepeatInputs = () => {
+    const drilling = drillSelect.value !== 'off';
+    foreverCb.disabled = drilling;
+    repeatsInput.disabled = drilling || foreverCb.checked;
+    perKeyInput.disabled = !drilling;
+  };
+  const showSpeed = () => {
+    speedRange.value = String(speedPct);
+    pctInput.value = String(speedPct);
+    if (card.originalBpm) bpmInput.value = String(Math.round(card.originalBpm * speedPct / 100));
+  };
+  const setCurrentKey = key => {
+    currentKey = key;
+    keySelect.value = key;
+    if (panel.onKeyChange) panel.onKeyChange(key);
+  };
+  showSpeed();
+  syncRepeatInputs();
+  panel.getRate = () => speedPct / 100;
+  panel.getKey = () => currentKey;
+  // Real tempo of the loop, when the recording's own tempo is known
+  panel.getBpm = () => card.originalBpm ? Math.round(card.originalBpm * panel.getRate()) : null;
+  panel.getDrillMode = () => drillSelect.value;
+  panel.stop = () => {
+    if (player) player.dispose();
+    if (clicksStarted) panel.metronome.stop();
+    clicksStarted = false;
+    player = null;
+    drill = null;
+    announce.classList.add('hidden');
+    setIdle();
+  };
+  let disposed = false;
+  onViewCleanup(() => {
+    disposed = true;
+    panel.stop();
+  });
+
+  async function renderFor(trim, key) {
+    const rate = panel.getRate();
+    const semitones = semitonesBetween(originalKey, key);
+    const cacheKey = `${trim.startSec}:${trim.endSec}:${rate}:${semitones}`;
+    if (renderCache.has(cacheKey)) return renderCache.get(cacheKey);
+    const buffer = await decodeBlob(card.recordingId, blob);
+    const segment = sliceBuffer(buffer, trim.startSec, trim.endSec);
+    // Let the progress label paint before rendering blocks the thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const out = renderSegment(segment, { rate, semitones });
+    // A full drill holds 12 renders; keep a little more than that around
+    if (renderCache.size >= 16) renderCache.clear();
+    renderCache.set(cacheKey, out);
+    return out;
+  }
+
+  // Re-render for the current speed/key and hand it to a running loop
+  async function refreshPlaying() {
+    if (!player) return;
+    const next = await renderFor(getTrim(), currentKey);
+    if (player) player.setBuffer(next);
+  }
+
+  async function setSpeed(pct) {
+    speedPct = Math.min(200, Math.max(25, Math.round(pct) || 100));
+    showSpeed();
+    if (panel.onSpeedChange) panel.onSpeedChange(panel.getRate());
+    await refreshPlaying();
+  }
+
+  // Drill state, kept so the drill can skip ahead to the next key
+  let drill = null;
+
+  // Play the drill from keys[from] to the end
+  function startDrill(buffers, keys, perKey, gapSec, from) {
+    drill = { buffers, keys, perKey, gapSec, keyIndex: from };
+    player = createLoopPlayer(buffers[from], {
+      gapSec: gapSec,
+      repeats: (keys.length - from) * perKey,
+      getBuffer: n => buffers[from + Math.floor((n - 1) / perKey)],
+      onRepeat: n => {
+        const keyIndex = from + Math.floor((n - 1) / perKey);
+        const loop = (n - 1) % perKey + 1;
+        drill.keyIndex = keyIndex;
+        counter.textContent = `Repetition ${loop} / ${perKey}`;
+        if (loop === 1) {
+          const key = keys[keyIndex];
+          setCurrentKey(key);
+          announce.textContent = `Key of ${key} (${keyIndex + 1}/${keys.length})`;
+          announce.classList.remove('hidden');
+          if (speakCb.checked) announceKey(key);
+        }
+        if (panel.onRepeat) panel.onRepeat();
+      },
+      onEnd: () => panel.stop()
+    });
+  }
+
+  // Start the count-in and/or click track; returns when the loop should
+  // start (0 = right away). With a known recording tempo the clicks follow
+  // the loop's actual BPM, otherwise the metronome's own setting.
+  function startClicks() {
+    const metronome = panel.metronome;
+    const bars = parseInt(countInSelect.value, 10);
+    if (!metronome || (bars === 0 && !clickCb.checked)) return 0;
+    const settings = metronome.getSettings();
+    const bpm = card.originalBpm ? card.originalBpm * panel.getRate() : settings.bpm;
+    const beats = bars * settings.beatsPerBar;
+    const firstBeat = metronome.run({ bpm, maxBeats: clickCb.checked ? 0 : beats });
+    clicksStarted = true;
+    return firstBeat + beats * 60 / bpm;
+  }
+
+  foreverCb.addEventListener('change', syncRepeatInputs);
+  drillSelect.addEventListener('change', syncRepeatInputs);
+  gapInput.addEventListener('change', () => {
+    if (player) player.setGap(parseFloat(gapInput.value) || 0);
+  });
+  speedRange.addEventListener('change', () => setSpeed(parseFloat(speedRange.value)));
+  pctInput.addEventListener('change', () => setSpeed(parseFloat(pctInput.value)));
+  bpmInput.addEventListener('change', () => {
+    const bpm = parseFloat(bpmInput.value);
+    if (bpm > 0) setSpeed(bpm / card.originalBpm * 100);
+  });
+  keySelect.addEventListener('change', () => {
+    setCurrentKey(keySelect.value);
+    refreshPlaying();
+  });
+  async function start() {
+    if (!blob) {
+      alert('This card has no audio.');
+      return;
+    }
+    const trim = getTrim();
+    if (trim.endSec <= trim.startSec) {
+      alert('Invalid trim times.');
+      return;
+    }
+    const gapSec = parseFloat(gapInput.value) || 0;
+    const drillMode = drillSelect.value;
+    playBtn.textContent = 'Loading…';
+    playBtn.disabled = true;
+    try {
+      if (drillMode !== 'off') {
+        // Render every key up front so key changes land exactly on a loop
+        const keys = drillOrder(drillMode, keySelect.value);
+        const perKey = Math.max(1, parseInt(perKeyInput.value, 10) || 1);
+        const buffers = [];
+        for (let i = 0; i < keys.length; i++) {
+          playBtn.textContent = `Preparing ${keys[i]} (${i + 1}/${keys.length})…`;
+          buffers.push(await renderFor(trim, keys[i]));
+        }
+        if (disposed) return;
+        startDrill(buffers, keys, perKey, gapSec, 0);
+        // The drill owns speed and key until it finishes
+        [speedRange, pctInput, bpmInput, keySelect, drillSelect, perKeyInput].forEach(el => { el.disabled = true; });
+      } else {
+        const repeats = foreverCb.checked ? 0 : Math.max(1, parseInt(repeatsInput.value, 10) || 1);
+        const total = repeats === 0 ? '∞' : repeats;
+        const segment = await renderFor(trim, currentKey);
+        if (disposed) return;
+        player = createLoopPlayer(segment, {
+          gapSec: gapSec,
+          repeats: repeats,
+          onRepeat: n => {
+            counter.textContent = `Repetition ${n} / ${total}`;
+            if (panel.onRepeat) panel.onRepeat();
+          },
+          onEnd: () => panel.stop()
+        });
+      }
+      if (panel.onStart) panel.onStart();
+      player.start(startClicks());
+      playBtn.textContent = 'Stop';
+    } catch (err) {
+      console.error('Error starting loop', err);
+      alert('Could not decode the audio for looping.');
+      panel.stop();
+    }
+    playBtn.disabled = false;
+  }
+
+  panel.toggle = () => {
+    if (playBtn.disabled) return;
+    if (player) panel.stop();
+    else start();
+  };
+  panel.restart = () => {
+    if (playBtn.disabled) return;
+    panel.stop();
+    start();
+  };
+  // The drill owns the speed while it runs
+  panel.nudgeSpeed = pct => {
+    if (!speedRange.disabled) setSpeed(speedPct + pct);
+  };
+  // Skip a drill ahead to the next key, or step the chosen key round the
+  // circle of fifths
+  panel.nextKey = () => {
+    if (player && drill) {
+      const next = drill.keyIndex + 1;
+      player.dispose();
+      player = null;
+      if (next >= drill.keys.length) {
+        panel.stop();
+        return;
+      }
+      startDrill(drill.buffers, drill.keys, drill.perKey, drill.gapSec, next);
+      player.start(0);
+      return;
+    }
+    if (keySelect.disabled) return;
+    setCurrentKey(drillOrder('circleOfFifths', currentKey)[1]);
+    refreshPlaying();
+  };
+  playBtn.addEventListener('click', panel.toggle);
+  return panel;
+}
+
+// Horizontal bar showing the microphone input level
+function createLevelMeter() {
+  const element = document.createElement('div');
+  element.className = 'level-meter';
+  const bar = document.createElement('div');
+  element.appendChild(bar);
+  return {
+    element,
+    set: level => {
+      bar.style.width = `${Math.round(level * 100)}%`;
+      bar.classList.toggle('clip', level > 0.98);
+    }
+  };
+}
+
+// Record our own takes of the phrase and compare them with the original:
+// the take alone, both together (original left, take right) or taking
+// turns, or scored note by note against it. The original is rendered in the
+// key and at the speed the loop panel was set to when the take was
+// recorded. options.onTake(take) runs after each new take is saved and
+// options.onScore(take, score) after a take is scored.
+function createTakesPanel(card, blob, loopPanel, options) {
+  const opts = Object.assign({ onTake: null, onScore: null }, options);
+  const panel = {
+    element: document.createElement('div'),
+    stopPlayback: () => {}
+  };
+  const element = panel.element;
+  element.className = 'takes-panel';
+  const h3 = document.createElement('h3');
+  h3.textContent = 'My Takes';
+  element.appendChild(h3);
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = 'Record yourself playing the phrase, with or without the loop. Use headphones to keep the original out of the take.';
+  element.appendChild(hint);
+  const recordRow = document.createElement('div');
+  recordRow.className = 'loop-row';
+  const recordBtn = document.createElement('button');
+  recordBtn.type = 'button';
+  recordBtn.textContent = 'Record Take';
+  recordRow.appendChild(recordBtn);
+  const meter = createLevelMeter();
+  recordRow.appendChild(meter.element);
+  const timeEl = document.createElement('span');
+  timeEl.className = 'loop-counter';
+  recordRow.appendChild(timeEl);
+  const stopBtn = document.createElement('button');
+  stopBtn.type = 'button';
+  stopBtn.textContent = 'Stop Playback';
+  stopBtn.disabled = true;
+  recordRow.appendChild(stopBtn);
+  element.appendChild(recordRow);
+  const list = document.createElement('div');
+  element.appendChild(list);
+
+  let recorder = null;
+  let timer = null;
+  let player = null;
+  // Reference renders keyed by key and speed
+  const referenceCache = new Map();
+
+  const stopPlayback = () => {
+    if (player) player.stop();
+    player = null;
+    stopBtn.disabled = true;
+  };
+  panel.stopPlayback = stopPlayback;
+  onViewCleanup(() => {
+    if (recorder) recorder.cancel();
+    recorder = null;
+    clearInterval(timer);
+    stopPlayback();
+  });
+
+  async function referenceFor(take) {
+    const cacheKey = `${take.key}:${take.rate}`;
+    if (referenceCache.has(cacheKey)) return referenceCache.get(cacheKey);
+    const trim = card.trim || { startSec: 0, endSec: 0 };
+    const buffer = await decodeBlob(card.recordingId, blob);
+    const out = renderSegment(sliceBuffer(buffer, trim.startSec, trim.endSec), {
+      rate: take.rate || 1,
+      semitones: semitonesBetween(card.key || 'C', take.key || card.key || 'C')
+    });
+    referenceCache.set(cacheKey, out);
+    return out;
+  }
+
+  // Start buffers together, each panned (-1 left .. 1 right)
+  function playTogether(tracks) {
+    const ctx = getAudioContext();
+    const when = ctx.currentTime + 0.05;
+    let ended = 0;
+    const sources = tracks.map(([buffer, pan]) => {
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      if (pan && ctx.createStereoPanner) {
+        const panner = ctx.createStereoPanner();
+        panner.pan.value = pan;
+        src.connect(panner);
+        panner.connect(ctx.destination);
+      } else {
+        src.connect(ctx.destination);
+      }
+      src.onended = () => {
+        if (++ended === tracks.length && player && player.sources === sources) stopPlayback();
+      };
+      src.start(when);
+      return src;
+    });
+    player = {
+      sources,
+      stop: () => sources.forEach(src => {
+        try {
+          src.stop();
+        } catch (err) {
+          // already stopped
+        }
+      })
+    };
+  }
+
+  async function play(take, how) {
+    stopPlayback();
+    loopPanel.stop();
+    try {
+      const takeBuffer = await decodeBlob(take.id, await getBlob(take.id));
+      if (how === 'take') {
+        playTogether([[takeBuffer, 0]]);
+      } else {
+        if (!blob) {
+          alert('This card has no audio.');
+          return;
+        }
+        const reference = await referenceFor(take);
+        if (how === 'original') {
+          playTogether([[reference, 0]]);
+        } else if (how === 'together') {
+          playTogether([[reference, -1], [takeBuffer, 1]]);
+        } else {
+          const turns = createLoopPlayer(reference, {
+            gapSec: 0.5,
+            repeats: 4,
+            getBuffer: n => (n % 2 === 1 ? reference : takeBuffer),
+            onEnd: () => stopPlayback()
+          });
+          turns.start();
+          player = { stop: () => turns.dispose() };
+        }
+      }
+      stopBtn.disabled = false;
+    } catch (err) {
+      console.error('Error playing take', err);
+      alert('Could not play this take.');
+    }
+  }
+
+  function showScore(resultEl, score, pairs) {
+    resultEl.innerHTML = '';
+    const summary = document.createElement('span');
+    summary.textContent = formatScore(score);
+    resultEl.appendChild(summary);
+    if (!pairs) return;
+    const notes = document.createElement('div');
+    notes.className = 'note-compare';
+    pairs.forEach(pair => {
+      const span = document.createElement('span');
+      if (pair.ok) {
+        span.className = 'ok';
+        span.textContent = noteName(pair.ref.midi);
+        span.title = `${pair.timingMs > 0 ? '+' : ''}${pair.timingMs} ms`;
+      } else if (pair.ref && pair.take) {
+        span.className = 'wrong';
+        span.textContent = `${noteName(pair.ref.midi)}→${noteName(pair.take.midi)}`;
+      } else if (pair.ref) {
+        span.className = 'missed';
+        span.textContent = noteName(pair.ref.midi);
+        span.title = 'Missed';
+      } else {
+        span.className = 'extra';
+        span.textContent = `+${noteName(pair.take.midi)}`;
+        span.title = 'Extra note';
+      }
+      notes.appendChild(span);
+    });
+    resultEl.appendChild(notes);
+  }
+
+  async function scoreTake(take, resultEl) {
+    if (!blob) {
+      alert('This card has no audio.');
+      return;
+    }
+    resultEl.textContent = 'Analysing…';
+    // Let the label paint before the analysis blocks the thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+    try {
+      const reference = await referenceFor(take);
+      const takeBuffer = await decodeBlob(take.id, await getBlob(take.id));
+      const result = compareNotes(segmentNotes(trackPitch(reference)), segmentNotes(trackPitch(takeBuffer)));
+      take.score = {
+        accuracy: result.accuracy,
+        timingMs: result.timingMs,
+        correct: result.correct,
+        refNotes: result.refNotes,
+        takeNotes: result.takeNotes
+      };
+      await saveTake(take, null);
+      showScore(resultEl, take.score, result.pairs);
+      if (opts.onScore) opts.onScore(take, take.score);
+    } catch (err) {
+      console.error('Error scoring take', err);
+      resultEl.textContent = '';
+      alert('Could not analyse this take.');
+    }
+  }
+
+  async function renderTakes() {
+    const takes = await getTakesForCard(card.id);
+    list.innerHTML = '';
+    if (takes.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No takes yet.';
+      list.appendChild(p);
+      return;
+    }
+    takes.forEach(take => {
+      const row = document.createElement('div');
+      row.className = 'loop-row take-row';
+      const info = document.createElement('span');
+      const session = (card.sessions || []).find(sess => sess.id === take.sessionId);
+      info.textContent = `${new Date(take.createdAt).toLocaleString()} — ${formatDuration(take.durationSec || 0)} — ` +
+        `${take.key || card.key || 'C'} at ${Math.round((take.rate || 1) * 100)}%` +
+        (session ? ` — session of ${new Date(session.date).toLocaleDateString()}` : '');
+      row.appendChild(info);
+      [['take', 'Take'], ['original', 'Original'], ['together', 'Together'], ['alternate', 'Alternate']].forEach(([how, text]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        if (how === 'together') btn.title = 'Original on the left, your take on the right';
+        btn.addEventListener('click', () => play(take, how));
+        row.appendChild(btn);
+      });
+      const delBtn = document.createElement('button');
+      delBtn.type = 'button';
+      delBtn.textContent = 'Delete';
+      delBtn.addEventListener('click', async () => {
+        if (!confirm('Delete this take?')) return;
+        stopPlayback();
+        try {
+          await deleteTake(take.id);
+          await renderTakes();
+        } catch (err) {
+          console.error('Error deleting take', err);
+          alert('Failed to delete take.');
+        }
+      });
+      row.appendChild(delBtn);
+      const resultEl = document.createElement('div');
+      resultEl.className = 'take-score';
+      if (take.score) showScore(resultEl, take.score, null);
+      const scoreBtn = document.createElement('button');
+      scoreBtn.type = 'button';
+      scoreBtn.textContent = 'Score';
+      scoreBtn.title = 'Compare the notes of your take with the original';
+      scoreBtn.addEventListener('click', async () => {
+        scoreBtn.disabled = true;
+        await scoreTake(take, resultEl);
+        scoreBtn.disabled = false;
+      });
+      row.insertBefore(scoreBtn, delBtn);
+      list.appendChild(row);
+      list.appendChild(resultEl);
+    });
+  }
+
+  async function finishRecording() {
+    const active = recorder;
+    recorder = null;
+    clearInterval(timer);
+    recordBtn.textContent = 'Record Take';
+    recordBtn.classList.remove('recording');
+    meter.set(0);
+    const durationSec = (Date.now() - active.startedAt) / 1000;
+    try {
+      const takeBlob = await active.stop();
+      const take = {
+        id: newId(),
+        cardId: card.id,
+        sessionId: null,
+        createdAt: Date.now(),
+        durationSec: durationSec,
+        key: loopPanel.getKey(),
+        rate: loopPanel.getRate(),
+        type: takeBlob.type || '',
+        size: takeBlob.size || 0
+      };
+      await saveTake(take, takeBlob);
+      if (opts.onTake) opts.onTake(take);
+      await renderTakes();
+    } catch (err) {
+      console.error('Error saving take', err);
+      alert('Failed to save the take.');
+    }
+  }
+
+  recordBtn.addEventListener('click', async () => {
+    if (recorder) {
+      await finishRecording();
+      return;
+    }
+    stopPlayback();
+    recordBtn.disabled = true;
+    try {
+      recorder = await startMicRecording({ onLevel: meter.set });
+    } catch (err) {
+      console.error('Error starting recording', err);
+      alert('Could not record from the microphone.');
+      return;
+    } finally {
+      recordBtn.disabled = false;
+    }
+    if (!element.isConnected) {
+      // The view changed while we waited for microphone permission
+      recorder.cancel();
+      recorder = null;
+      return;
+    }
+    recordBtn.textContent = 'Stop Recording';
+    recordBtn.classList.add('recording');
+    timeEl.textContent = formatDuration(0);
+    timer = setInterval(() => {
+      timeEl.textContent = formatDuration((Date.now() - recorder.startedAt) / 1000);
+    }, 250);
+  });
+  stopBtn.addEventListener('click', stopPlayback);
+  renderTakes();
+  return panel;
+}
+
+// Notation for the phrase: ABC text drawn as a staff, transposed along with
+// the loop panel's key via setKey(key), and photos or PDFs of the written
+// part. options.editable adds the ABC editor and adding/removing files.
+function createNotationPanel(card, options) {
+  const opts = Object.assign({ editable: false }, options);
+  const panel = {
+    element: document.createElement('div'),
+    setKey: () => {}
+  };
+  const element = panel.element;
+  element.className = 'notation-panel';
+  const h3 = document.createElement('h3');
+  h3.textContent = 'Notation';
+  element.appendChild(h3);
+  const keyHint = document.createElement('p');
+  keyHint.className = 'hint hidden';
+  element.appendChild(keyHint);
+  const staff = document.createElement('div');
+  staff.className = 'notation-staff';
+  element.appendChild(staff);
+  const files = document.createElement('div');
+  files.className = 'attachment-list';
+  element.appendChild(files);
+  const urls = [];
+  onViewCleanup(() => urls.splice(0).forEach(url => URL.revokeObjectURL(url)));
+
+  let semitones = 0;
+  let abcInput = null;
+  const currentAbc = () => (abcInput ? abcInput.value : card.abc || '');
+  const paintStaff = () => {
+    staff.innerHTML = '';
+    const text = currentAbc();
+    if (!text.trim()) return;
+    const svg = renderAbc(text, semitones);
+    if (svg) staff.appendChild(svg);
+    else staff.textContent = 'No notes found in the ABC text.';
+  };
+  panel.setKey = key => {
+    semitones = semitonesBetween(card.key || 'C', key);
+    keyHint.textContent = `Transposed to ${key}`;
+    keyHint.classList.toggle('hidden', !semitones || !currentAbc().trim());
+    paintStaff();
+  };
+
+  async function renderFiles() {
+    files.innerHTML = '';
+    for (const att of card.attachments || []) {
+      const item = document.createElement('div');
+      item.className = 'attachment';
+      const blob = await getBlob(att.id);
+      const url = blob ? URL.createObjectURL(blob) : '';
+      if (url) urls.push(url);
+      if (blob && (att.type || '').startsWith('image/')) {
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = att.name;
+        item.appendChild(img);
+      }
+      const row = document.createElement('div');
+      row.className = 'loop-row';
+      if (url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = att.name;
+        row.appendChild(link);
+      } else {
+        const missing = document.createElement('span');
+        missing.textContent = `${att.name} (file missing)`;
+        row.appendChild(missing);
+      }
+      const size = document.createElement('span');
+      size.className = 'hint';
+      size.textContent = formatBytes(att.size || 0);
+      row.appendChild(size);
+      if (opts.editable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', async () => {
+          if (!confirm(`Remove "${att.name}"?`)) return;
+          try {
+            await removeAttachment(card, att.id);
+            await renderFiles();
+          } catch (err) {
+            console.error('Error removing attachment', err);
+            alert('Failed to remove the file.');
+          }
+        });
+        row.appendChild(removeBtn);
+      }
+      item.appendChild(row);
+      files.appendChild(item);
+    }
+  }
+
+  if (opts.editable) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Edit ABC notation';
+    details.appendChild(summary);
+    abcInput = document.createElement('textarea');
+    abcInput.className = 'abc-input';
+    abcInput.rows = 5;
+    abcInput.spellcheck = false;
+    abcInput.placeholder = 'M:4/4\nL:1/8\nK:C\n"Dm7"DEFA cAGF | "G7"E2 ^c2 d4 |]';
+    abcInput.value = card.abc || '';
+    details.appendChild(abcInput);
+    const abcHint = document.createElement('p');
+    abcHint.className = 'hint';
+    abcHint.textContent = 'Write it in the recording key; the staff follows the key chosen for the loop.';
+    details.appendChild(abcHint);
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = 'Save Notation';
+    details.appendChild(saveBtn);
+    element.insertBefore(details, files);
+    let previewTimer = null;
+    abcInput.addEventListener('input', () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(paintStaff, 250);
+    });
+    onViewCleanup(() => clearTimeout(previewTimer));
+    saveBtn.addEventListener('click', async () => {
+      const abc = abcInput.value.trim();
+      if (abc) card.abc = abc;
+      else delete card.abc;
+      try {
+        await saveCard(card, null);
+      } catch (err) {
+        console.error('Error saving notation', err);
+        alert('Failed to save notation.');
+      }
+    });
+    // Photos and PDFs of the sheet music
+    const fileLbl = document.createElement('label');
+    fileLbl.className = 'loop-row';
+    fileLbl.textContent = 'Add photo or PDF ';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/*,application/pdf';
+    fileInput.multiple = true;
+    fileLbl.appendChild(fileInput);
+    element.appendChild(fileLbl);
+    fileInput.addEventListener('change', async () => {
+      try {
+        for (const file of Array.from(fileInput.files)) await addAttachment(card, file);
+      } catch (err) {
+        console.error('Error adding attachment', err);
+        alert('Failed to store the file.');
+      }
+      fileInput.value = '';
+      await renderFiles();
+    });
+  }
+  paintStaff();
+  renderFiles().catch(err => console.error('Error loading attachments', err));
+  return panel;
+}
+
+// Fields edited by the card view's metadata form
+const CARD_META_FIELDS = ['title', 'source', 'bpmTarget', 'originalBpm', 'key', 'comments', 'tags', 'trim'];
+
+async function viewCard(id) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const card = await getCard(id);
+  if (!card) {
+    await navigate('#/cards', { replace: true });
+    return;
+  }
+  const blob = card.recordingId ? await getBlob(card.recordingId) : null;
+  const recording = card.recordingId ? await getRecording(card.recordingId) : null;
+  const recordingUsers = card.recordingId ? await countCardsForRecording(card.recordingId) : 0;
+  const takes = await getTakesForCard(card.id);
+  const url = blob ? URL.createObjectURL(blob) : '';
+  clearView(main);
+  const container = document.createElement('div');
+  // Header with title and delete button
+  const headerDiv = document.createElement('div');
+  headerDiv.style.display = 'flex';
+  headerDiv.style.justifyContent = 'space-between';
+  headerDiv.style.alignItems = 'center';
   const h2 = document.createElement('h2');
-  h2.textContent = 'Add New Card';
-  container.appendChild(h2);
-  // File input
-  const fileGroup = document.createElement('div');
-  fileGroup.className = 'form-group';
-  const fileLabel = document.createElement('label');
-  fileLabel.textContent = 'Audio File';
-  fileLabel.setAttribute('for', 'fileInput');
-  const fileInput = document.createElement('input');
-  fileInput.type = 'file';
-  fileInput.accept = 'audio/*';
-  fileInput.id = 'fileInput';
-  fileGroup.appendChild(fileLabel);
-  fileGroup.appendChild(fileInput);
-  container.appendChild(fileGroup);
-  // Audio preview
-  const audioPreview = document.createElement('audio');
-  audioPreview.controls = true;
-  audioPreview.id = 'audioPreview';
-  audioPreview.classList.add('hidden');
-  container.appendChild(audioPreview);
-  // Trim inputs
-  const trimGroup = document.createElement('div');
-  trimGroup.className = 'form-group';
-  const trimLabel = document.createElement('label');
-  trimLabel.textContent = 'Trim Start & End (sec)';
-  trimGroup.appendChild(trimLabel);
-  const startInput = document.createElement('input');
-  startInput.type = 'number';
-  startInput.step = '0.01';
-  startInput.min = '0';
-  startInput.id = 'startSec';
-  startInput.value = '0';
-  const endInput = document.createElement('input');
-  endInput.type = 'number';
-  endInput.step = '0.01';
-  endInput.min = '0';
-  endInput.id = 'endSec';
-  endInput.value = '0';
-  trimGroup.appendChild(startInput);
-  trimGroup.appendChild(endInput);
-  container.appendChild(trimGroup);
+  h2.textContent = card.title || 'Untitled';
+  headerDiv.appendChild(h2);
+  const delBtn = document.createElement('button');
+  delBtn.textContent = 'Delete';
+  delBtn.style.background = '#f44336';
+  delBtn.style.color = 'white';
+  delBtn.style.border = 'none';
+  delBtn.style.padding = '6px 10px';
+  delBtn.style.borderRadius = '4px';
+  delBtn.style.cursor = 'pointer';
+  const shareBtn = document.createElement('button');
+  shareBtn.type = 'button';
+  shareBtn.textContent = 'Share Card';
+  shareBtn.title = 'Send this card with its audio and notation as a file another Phrase Cards user can import';
+  const headerActions = document.createElement('div');
+  headerActions.className = 'button-group';
+  headerActions.appendChild(shareBtn);
+  headerActions.appendChild(delBtn);
+  headerDiv.appendChild(headerActions);
+  container.appendChild(headerDiv);
+  if (card.deletedAt) {
+    const trashRow = document.createElement('div');
+    trashRow.className = 'storage-warning loop-row';
+    const trashText = document.createElement('span');
+    trashText.textContent = `This card is in the trash since ${new Date(card.deletedAt).toLocaleDateString()}.`;
+    trashRow.appendChild(trashText);
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', async () => {
+      await restoreCard(card.id);
+      await viewCard(card.id);
+    });
+    trashRow.appendChild(restoreBtn);
+    container.appendChild(trashRow);
+    delBtn.classList.add('hidden');
+  }
+  const practiceBtn = document.createElement('button');
+  practiceBtn.type = 'button';
+  practiceBtn.className = 'primary-btn';
+  practiceBtn.textContent = 'Start Practicing';
+  practiceBtn.addEventListener('click', () => navigate(`${cardPath(card.id)}/practice`));
+  container.appendChild(practiceBtn);
+  // Audio preview and play trimmed
+  const audio = document.createElement('audio');
+  audio.controls = true;
+  audio.src = url;
+  audio.style.display = 'block';
+  audio.style.marginBottom = '8px';
+  container.appendChild(audio);
+  onViewCleanup(() => audio.pause());
+  if (recording) {
+    const recordingRow = document.createElement('div');
+    recordingRow.className = 'loop-row';
+    const recordingInfo = document.createElement('span');
+    recordingInfo.className = 'hint';
+    const takesBytes = takes.reduce((sum, take) => sum + (take.size || 0), 0);
+    recordingInfo.textContent = `Recording: ${recording.name} (${formatBytes(recording.size || 0)})` +
+      (recordingUsers > 1 ? ` — shared by ${recordingUsers} cards` : '') +
+      (takesBytes ? ` — takes ${formatBytes(takesBytes)}` : '');
+    recordingRow.appendChild(recordingInfo);
+    const cutBtn = document.createElement('button');
+    cutBtn.type = 'button';
+    cutBtn.textContent = 'New Phrase from This Recording';
+    cutBtn.addEventListener('click', () => navigate(`#/add/${encodeURIComponent(card.recordingId)}`));
+    recordingRow.appendChild(cutBtn);
+    const shrinkBtn = document.createElement('button');
+    shrinkBtn.type = 'button';
+    shrinkBtn.textContent = 'Keep Only the Phrase';
+    shrinkBtn.title = 'Store just the saved trim plus half a second either side';
+    shrinkBtn.addEventListener('click', async () => {
+      const message = recordingUsers > 1
+        ? `Give this card its own copy of just the trimmed phrase? The other ${recordingUsers - 1} cards keep the full recording.`
+        : 'Replace the recording with just the trimmed phrase? The rest of the audio is deleted.';
+      if (!confirm(message)) return;
+      shrinkBtn.disabled = true;
+      shrinkBtn.textContent = 'Encoding phrase…';
+      try {
+        const buffer = await decodeBlob(card.recordingId, blob);
+        const clip = await renderClip(buffer, card.trim, 0.5, `${recording.name} (${card.title || 'phrase'})`);
+        if (recordingUsers === 1 && clip.file.size >= (recording.size || blob.size)) {
+          alert('The trimmed phrase would not take less space than the current recording.');
+          shrinkBtn.disabled = false;
+          shrinkBtn.textContent = 'Keep Only the Phrase';
+          return;
+        }
+        card.trim = clip.trim;
+        await saveCard(card, clip.file);
+        await viewCard(card.id);
+      } catch (err) {
+        console.error('Error shrinking recording', err);
+        alert('Failed to shrink the recording.');
+        shrinkBtn.disabled = false;
+        shrinkBtn.textContent = 'Keep Only the Phrase';
+      }
+    });
+    recordingRow.appendChild(shrinkBtn);
+    container.appendChild(recordingRow);
+  }
+  const loopPanel = createLoopPanel(card, blob, () => ({
+    startSec: parseFloat(startEdit.value) || 0,
+    endSec: parseFloat(endEdit.value) || 0
+  }));
+  loopPanel.onSpeedChange = rate => setPlaybackRate(audio, rate);
+  const metronomePanel = createMetronomePanel(card);
+  loopPanel.metronome = metronomePanel;
+  container.appendChild(metronomePanel.element);
+  container.appendChild(loopPanel.element);
+  const notationPanel = createNotationPanel(card, { editable: true });
+  loopPanel.onKeyChange = key => notationPanel.setKey(key);
+  container.appendChild(notationPanel.element);
+  const takesPanel = createTakesPanel(card, blob, loopPanel, {
+    // A scored take from a logged session can replace its self-reported
+    // error rate
+    onScore: async (take, score) => {
+      const session = (card.sessions || []).find(sess => sess.id === take.sessionId);
+      if (!session || !confirm(`Use this score for the session of ${new Date(session.date).toLocaleDateString()}?`)) return;
+      session.score = score;
+      session.errorRate = 100 - score.accuracy;
+      rebuildReview(card);
+      try {
+        await saveCard(card, null);
+        await viewCard(card.id);
+      } catch (err) {
+        console.error('Error updating session', err);
+        alert('Failed to update the session.');
+      }
+    }
+  });
+  loopPanel.onStart = () => {
+    audio.pause();
+    takesPanel.stopPlayback();
+  };
+  bindActions(loopPanelActions(loopPanel));
+  audio.addEventListener('play', () => {
+    loopPanel.stop();
+    takesPanel.stopPlayback();
+  });
+  // Edit metadata form
+  const formDiv = document.createElement('div');
+  formDiv.className = 'form-group';
+  // Start & End editing
+  const trimEditGroup = document.createElement('div');
+  trimEditGroup.className = 'form-group';
+  const trimEditLabel = document.createElement('label');
+  trimEditLabel.textContent = 'Trim';
+  trimEditGroup.appendChild(trimEditLabel);
+  const waveformSlot = document.createElement('div');
+  waveformSlot.className = 'hint';
+  waveformSlot.textContent = blob ? 'Loading waveform…' : 'No audio for this card.';
+  trimEditGroup.appendChild(waveformSlot);
+  const startEdit = document.createElement('input');
+  startEdit.type = 'number';
+  startEdit.step = '0.001';
+  startEdit.min = '0';
+  startEdit.value = card.trim?.startSec ?? 0;
+  const endEdit = document.createElement('input');
+  endEdit.type = 'number';
+  endEdit.step = '0.001';
+  endEdit.min = '0';
+  endEdit.value = card.trim?.endSec ?? 0;
+  trimEditGroup.appendChild(createExactTimesDetails(startEdit, endEdit));
+  formDiv.appendChild(trimEditGroup);
   // Title
   const titleGroup = document.createElement('div');
   titleGroup.className = 'form-group';
-  const titleLabel = document.createElement('label');
-  titleLabel.textContent = 'Title';
-  titleLabel.setAttribute('for', 'titleInput');
-  const titleInput = document.createElement('input');
-  titleInput.type = 'text';
-  titleInput.id = 'titleInput';
-  titleGroup.appendChild(titleLabel);
-  titleGroup.appendChild(titleInput);
-  container.appendChild(titleGroup);
+  const titleLbl = document.createElement('label');
+  titleLbl.textContent = 'Title';
+  const titleEdit = document.createElement('input');
+  titleEdit.type = 'text';
+  titleEdit.value = card.title || '';
+  titleGroup.appendChild(titleLbl);
+  titleGroup.appendChild(titleEdit);
+  formDiv.appendChild(titleGroup);
   // Source
   const sourceGroup = document.createElement('div');
   sourceGroup.className = 'form-group';
-  const sourceLabel = document.createElement('label');
-  sourceLabel.textContent = 'Source (optional)';
-  sourceLabel.setAttribute('for', 'sourceInput');
-  const sourceInput = document.createElement('input');
-  sourceInput.type = 'text';
-  sourceInput.id = 'sourceInput';
-  sourceGroup.appendChild(sourceLabel);
-  sourceGroup.appendChild(sourceInput);
-  container.appendChild(sourceGroup);
-  // BPM Target
+  const sourceLbl = document.createElement('label');
+  sourceLbl.textContent = 'Source (optional)';
+  const sourceEdit = document.createElement('input');
+  sourceEdit.type = 'text';
+  sourceEdit.value = card.source || '';
+  sourceGroup.appendChild(sourceLbl);
+  sourceGroup.appendChild(sourceEdit);
+  formDiv.appendChild(sourceGroup);
+  // BPM target
   const bpmGroup = document.createElement('div');
   bpmGroup.className = 'form-group';
-  const bpmLabel = document.createElement('label');
-  bpmLabel.textContent = 'Target BPM (optional)';
-  bpmLabel.setAttribute('for', 'bpmTarget');
-  const bpmInput = document.createElement('input');
-  bpmInput.type = 'number';
-  bpmInput.id = 'bpmTarget';
-  bpmInput.min = '0';
-  bpmGroup.appendChild(bpmLabel);
-  bpmGroup.appendChild(bpmInput);
-  container.appendChild(bpmGroup);
+  const bpmLbl = document.createElement('label');
+  bpmLbl.textContent = 'Target BPM (optional)';
+  const bpmEdit = document.createElement('input');
+  bpmEdit.type = 'number';
+  bpmEdit.min = '0';
+  bpmEdit.value = card.bpmTarget || '';
+  bpmGroup.appendChild(bpmLbl);
+  bpmGroup.appendChild(bpmEdit);
+  formDiv.appendChild(bpmGroup);
+  // Recording tempo
+  const origBpmGroup = document.createElement('div');
+  origBpmGroup.className = 'form-group';
+  const origBpmLbl = document.createElement('label');
+  origBpmLbl.textContent = 'Recording Tempo (BPM, optional)';
+  const origBpmEdit = document.createElement('input');
+  origBpmEdit.type = 'number';
+  origBpmEdit.min = '0';
+  origBpmEdit.value = card.originalBpm || '';
+  origBpmGroup.appendChild(origBpmLbl);
+  const origBpmRow = document.createElement('div');
+  origBpmRow.className = 'input-row';
+  origBpmRow.appendChild(origBpmEdit);
+  const detectBtn = document.createElement('button');
+  detectBtn.type = 'button';
+  detectBtn.textContent = 'Detect';
+  detectBtn.disabled = !blob;
+  origBpmRow.appendChild(detectBtn);
+  origBpmGroup.appendChild(origBpmRow);
+  const tempoHint = document.createElement('p');
+  tempoHint.className = 'hint';
+  origBpmGroup.appendChild(tempoHint);
+  formDiv.appendChild(origBpmGroup);
+  // Recording key
+  const keyGroup = document.createElement('div');
+  keyGroup.className = 'form-group';
+  const keyLbl = document.createElement('label');
+  keyLbl.textContent = 'Recording Key';
+  const keyEdit = createKeySelect(card.key || 'C');
+  keyGroup.appendChild(keyLbl);
+  keyGroup.appendChild(keyEdit);
+  formDiv.appendChild(keyGroup);
   // Comments
   const commentsGroup = document.createElement('div');
   commentsGroup.className = 'form-group';
-  const commentsLabel = document.createElement('label');
-  commentsLabel.textContent = 'Comments';
-  commentsLabel.setAttribute('for', 'commentsInput');
-  const commentsInput = document.createElement('textarea');
-  commentsInput.id = 'commentsInput';
-  commentsGroup.appendChild(commentsLabel);
-  commentsGroup.appendChild(commentsInput);
-  container.appendChild(commentsGroup);
+  const commentsLbl = document.createElement('label');
+  commentsLbl.textContent = 'Comments';
+  const commentsEdit = document.createElement('textarea');
+  commentsEdit.value = card.comments || '';
+  commentsGroup.appendChild(commentsLbl);
+  commentsGroup.appendChild(commentsEdit);
+  formDiv.appendChild(commentsGroup);
   // Tags
   const tagsGroup = document.createElement('div');
   tagsGroup.className = 'form-group';
-  const tagsLabel = document.createElement('label');
-  tagsLabel.textContent = 'Tags (comma separated)';
-  tagsLabel.setAttribute('for', 'tagsInput');
-  const tagsInput = document.createElement('input');
-  tagsInput.type = 'text';
-  tagsInput.id = 'tagsInput';
-  tagsGroup.appendChild(tagsLabel);
-  tagsGroup.appendChild(tagsInput);
-  container.appendChild(tagsGroup);
-  // Mastery statuses
-  const masteryGroup = document.createElement('div');
-  masteryGroup.className = 'form-group';
-  const masteryLabel = document.createElement('label');
-  masteryLabel.textContent = 'Mastery';
-  masteryGroup.appendChild(masteryLabel);
-  // Circle
-  const circleLabel = document.createElement('label');
-  circleLabel.textContent = 'Circle of Fifths';
-  circleLabel.setAttribute('for', 'circleStatus');
-  const circleSelect = document.createElement('select');
-  circleSelect.id = 'circleStatus';
-  ['not_started','in_progress','mastered'].forEach(val => {
+  const tagsLbl = document.createElement('label');
+  tagsLbl.textContent = 'Tags (comma separated)';
+  const tagsEdit = document.createElement('input');
+  tagsEdit.type = 'text';
+  tagsEdit.value = Array.isArray(card.tags) ? card.tags.join(', ') : '';
+  tagsGroup.appendChild(tagsLbl);
+  tagsGroup.appendChild(tagsEdit);
+  formDiv.appendChild(tagsGroup);
+  // Save metadata button
+  const metaBtnGroup = document.createElement('div');
+  metaBtnGroup.className = 'button-group';
+  const saveMetaBtn = document.createElement('button');
+  saveMetaBtn.textContent = 'Save Changes';
+  saveMetaBtn.type = 'button';
+  metaBtnGroup.appendChild(saveMetaBtn);
+  formDiv.appendChild(metaBtnGroup);
+  container.appendChild(formDiv);
+  // Per-key mastery grid
+  const masterySection = document.createElement('div');
+  masterySection.className = 'mastery-section';
+  const masteryHeader = document.createElement('h3');
+  masteryHeader.textContent = 'Mastery by Key';
+  masterySection.appendChild(masteryHeader);
+  const masteryHint = document.createElement('p');
+  masteryHint.className = 'hint';
+  masteryHint.textContent = 'Tap a key to change its status. Numbers are the best tempo reached in that key.';
+  masterySection.appendChild(masteryHint);
+  masterySection.appendChild(createMasteryGrid(card));
+  container.appendChild(masterySection);
+  container.appendChild(takesPanel.element);
+  // Sessions section
+  const sessionSection = document.createElement('div');
+  sessionSection.id = 'sessionSection';
+  const sessionHeader = document.createElement('h3');
+  sessionHeader.textContent = 'Practice Sessions';
+  sessionSection.appendChild(sessionHeader);
+  // Add Session button
+  const addSessBtn = document.createElement('button');
+  addSessBtn.textContent = 'Add Session';
+  addSessBtn.type = 'button';
+  addSessBtn.style.marginBottom = '10px';
+  sessionSection.appendChild(addSessBtn);
+  // Sessions list
+  const sessList = document.createElement('div');
+  if (Array.isArray(card.sessions) && card.sessions.length > 0) {
+    card.sessions.sort((a,b) => (b.date || 0) - (a.date || 0));
+    card.sessions.forEach(sess => {
+      const sessDiv = document.createElement('div');
+      sessDiv.style.borderBottom = '1px solid #ddd';
+      sessDiv.style.padding = '6px 0';
+      const date = new Date(sess.date);
+      const dateStr = date.toLocaleString();
+      const tempoStr = (sess.temposAchieved || []).join(', ');
+      const keyStr = (sess.keys || []).join(', ');
+      const p = document.createElement('p');
+      const extras = [];
+      if (sess.speeds && sess.speeds.length) extras.push(`speed ${sess.speeds.join('%, ')}%`);
+      if (sess.durationSec) extras.push(`${Math.round(sess.durationSec / 60)} min`);
+      if (sess.repetitions) extras.push(`${sess.repetitions} reps`);
+      if (sess.score) extras.push(`scored ${formatScore(sess.score)}`);
+      const sessTakes = takes.filter(take => take.sessionId === sess.id).length;
+      if (sessTakes) extras.push(`${sessTakes} take${sessTakes === 1 ? '' : 's'}`);
+      // Sessions can come from imported archives, so no stored text goes
+      // through innerHTML
+      const dateEl = document.createElement('strong');
+      dateEl.textContent = dateStr;
+      p.appendChild(dateEl);
+      p.appendChild(document.createTextNode(` — Mode: ${sess.mode} — Keys: ${keyStr || '—'} — Tempos: ${tempoStr || '—'} — Errors: ${sess.errorRate || 0}%` +
+        (extras.length ? ` — ${extras.join(', ')}` : '')));
+      if (sess.notes) {
+        const notesP = document.createElement('p');
+        notesP.textContent = 'Notes: ' + sess.notes;
+        notesP.style.fontSize = '0.9rem';
+        sessDiv.appendChild(p);
+        sessDiv.appendChild(notesP);
+      } else {
+        sessDiv.appendChild(p);
+      }
+      const sessActions = document.createElement('div');
+      sessActions.className = 'loop-row';
+      const editSessBtn = document.createElement('button');
+      editSessBtn.type = 'button';
+      editSessBtn.textContent = 'Edit';
+      editSessBtn.addEventListener('click', () => navigate(`${cardPath(card.id)}/sessions/${encodeURIComponent(sess.id)}`));
+      const delSessBtn = document.createElement('button');
+      delSessBtn.type = 'button';
+      delSessBtn.textContent = 'Delete';
+      delSessBtn.addEventListener('click', () => removeSession(sess));
+      sessActions.appendChild(editSessBtn);
+      sessActions.appendChild(delSessBtn);
+      sessDiv.appendChild(sessActions);
+      sessList.appendChild(sessDiv);
+    });
+  } else {
+    const p = document.createElement('p');
+    p.textContent = 'No sessions yet.';
+    sessList.appendChild(p);
+  }
+  sessionSection.appendChild(sessList);
+  container.appendChild(sessionSection);
+  main.appendChild(container);
+  // Event handlers
+  // Re-render only if the card is still on screen when an undo lands
+  const refreshIfShown = async () => {
+    if (location.hash === cardPath(card.id)) await viewCard(card.id);
+  };
+  shareBtn.addEventListener('click', async () => {
+    shareBtn.disabled = true;
+    try {
+      await shareCard(card);
+    } catch (err) {
+      console.error('Error sharing card', err);
+      alert('Failed to share the card.');
+    }
+    shareBtn.disabled = false;
+  });
+  delBtn.addEventListener('click', async () => {
+    try {
+      await trashCard(card.id);
+    } catch (err) {
+      console.error('Error deleting card', err);
+      alert('Failed to delete.');
+      return;
+    }
+    await navigate('#/cards', { replace: true });
+    showUndoToast(`"${card.title || 'Untitled'}" moved to the trash.`, async () => {
+      await restoreCard(card.id);
+      await navigate(cardPath(card.id));
+    });
+  });
+  // The session's takes are unlinked with it, and linked again on undo
+  async function removeSession(sess) {
+    const takeIds = takes.filter(take => take.sessionId === sess.id).map(take => take.id);
+    card.sessions = card.sessions.filter(other => other !== sess);
+    rebuildMastery(card);
+    rebuildReview(card);
+    try {
+      await saveCard(card, null);
+      if (takeIds.length) await attachTakesToSession(takeIds, null);
+      await viewCard(card.id);
+    } catch (err) {
+      console.error('Error deleting session', err);
+      alert('Failed to delete session.');
+      return;
+    }
+    showUndoToast('Session deleted.', async () => {
+      const fresh = await getCard(card.id);
+      if (!fresh) return;
+      fresh.sessions = Array.isArray(fresh.sessions) ? fresh.sessions : [];
+      fresh.sessions.push(sess);
+      rebuildMastery(fresh);
+      rebuildReview(fresh);
+      await saveCard(fresh, null);
+      // Unless a take was attached to another session in the meantime
+      const freeIds = (await getTakesForCard(card.id))
+        .filter(take => takeIds.includes(take.id) && !take.sessionId)
+        .map(take => take.id);
+      if (freeIds.length) await attachTakesToSession(freeIds, sess.id);
+      await refreshIfShown();
+    });
+  }
+  saveMetaBtn.addEventListener('click', async () => {
+    const newStart = parseFloat(startEdit.value) || 0;
+    const newEnd = parseFloat(endEdit.value) || 0;
+    if (newEnd <= newStart) {
+      alert('End must be greater than start.');
+      return;
+    }
+    // Undo restores just these fields, so sessions logged since survive it
+    const before = {};
+    CARD_META_FIELDS.forEach(field => {
+      before[field] = card[field];
+    });
+    card.title = titleEdit.value.trim() || '';
+    card.source = sourceEdit.value.trim() || undefined;
+    card.bpmTarget = bpmEdit.value ? parseInt(bpmEdit.value, 10) : undefined;
+    card.originalBpm = origBpmEdit.value ? parseFloat(origBpmEdit.value) : undefined;
+    card.key = keyEdit.value;
+    card.comments = commentsEdit.value.trim() || undefined;
+    const tgs = tagsEdit.value.trim() ? tagsEdit.value.split(',').map(t => t.trim()).filter(t => t) : [];
+    card.tags = tgs;
+    card.trim = { startSec: newStart, endSec: newEnd };
+    try {
+      await saveCard(card, null);
+      // reload card
+      await viewCard(card.id);
+    } catch (err) {
+      console.error('Error updating card', err);
+      alert('Failed to update.');
+      return;
+    }
+    showUndoToast('Changes saved.', async () => {
+      const fresh = await getCard(card.id);
+      if (!fresh) return;
+      CARD_META_FIELDS.forEach(field => {
+        if (before[field] === undefined) delete fresh[field];
+        else fresh[field] = before[field];
+      });
+      await saveCard(fresh, null);
+      await refreshIfShown();
+    });
+  });
+  addSessBtn.addEventListener('click', () => {
+    navigate(`${cardPath(card.id)}/session/new`);
+  });
+  // Analyse at least 20 seconds around the phrase; a short lick alone
+  // holds too few beats to find the pulse
+  detectBtn.addEventListener('click', async () => {
+    detectBtn.disabled = true;
+    tempoHint.textContent = 'Detecting tempo…';
+    await new Promise(resolve => setTimeout(resolve, 0));
+    try {
+      const buffer = await decodeBlob(card.recordingId, blob);
+      const startSec = Math.max(0, (parseFloat(startEdit.value) || 0) - 10);
+      const endSec = Math.min(buffer.duration, Math.max((parseFloat(endEdit.value) || 0) + 10, startSec + 20));
+      const tempo = estimateTempo(buffer, startSec, endSec);
+      tempoHint.textContent = describeTempo(tempo) + (tempo ? ' — press Save Changes to keep it.' : '');
+      if (tempo) origBpmEdit.value = String(Math.round(tempo.bpm));
+    } catch (err) {
+      console.error('Error detecting tempo', err);
+      tempoHint.textContent = '';
+      alert('Could not analyse the audio.');
+    }
+    detectBtn.disabled = false;
+  });
+  if (blob) {
+    try {
+      const buffer = await decodeBlob(card.recordingId, blob);
+      if (waveformSlot.isConnected) mountWaveformEditor(waveformSlot, buffer, startEdit, endEdit);
+    } catch (err) {
+      console.warn('Could not decode audio for the waveform', err);
+      waveformSlot.textContent = 'Could not draw a waveform for this audio; use the exact times below.';
+    }
+  }
+}
+
+// Session form: a new session, or editing the saved one passed in. A
+// session logged by a live practice run also shows its repetitions, misses
+// and the score of an analysed take. Takes recorded from the card view that
+// no session claims yet can be attached here.
+async function showAddSessionForm(card, editing) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const pre = editing || {};
+  // A take whose session was deleted is free again
+  const sessionIds = new Set((card.sessions || []).map(sess => sess.id));
+  const takes = (await getTakesForCard(card.id)).filter(take =>
+    !take.sessionId || !sessionIds.has(take.sessionId) || take.sessionId === pre.id);
+  // Create overlay or reuse session section
+  const section = document.createElement('div');
+  section.className = 'form-group';
+  const h3 = document.createElement('h3');
+  h3.textContent = editing ? 'Edit Practice Session' : 'New Practice Session';
+  section.appendChild(h3);
+  // Mode select
+  const modeGroup = document.createElement('div');
+  modeGroup.className = 'form-group';
+  const modeLbl = document.createElement('label');
+  modeLbl.textContent = 'Mode';
+  const modeSelect = document.createElement('select');
+  SESSION_MODES.forEach(val => {
     const opt = document.createElement('option');
     opt.value = val;
     opt.textContent = val;
-    circleSelect.appendChild(opt);
+    if (pre.mode === val) opt.selected = true;
+    modeSelect.appendChild(opt);
+  });
+  modeGroup.appendChild(modeLbl);
+  modeGroup.appendChild(modeSelect);
+  section.appendChild(modeGroup);
+  // Tempos checkboxes
+  const temposGroup = document.createElement('div');
+  temposGroup.className = 'form-group';
+  const temposLbl = document.createElement('label');
+  temposLbl.textContent = 'Tempos Achieved';
+  temposGroup.appendChild(temposLbl);
+  const tempoValues = [];
+  for (let bpm = 40; bpm <= 240; bpm += 10) {
+    tempoValues.push(bpm);
+  }
+  // Tempos actually played may fall between the usual steps
+  (pre.temposAchieved || []).forEach(bpm => {
+    if (!tempoValues.includes(bpm)) tempoValues.push(bpm);
+  });
+  tempoValues.sort((a, b) => a - b);
+  const tempoContainer = document.createElement('div');
+  tempoContainer.style.display = 'flex';
+  tempoContainer.style.flexWrap = 'wrap';
+  tempoContainer.style.gap = '6px';
+  tempoValues.forEach(val => {
+    const span = document.createElement('span');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = val;
+    cb.name = 'tempo';
+    cb.checked = (pre.temposAchieved || []).includes(val);
+    const lbl = document.createElement('label');
+    lbl.textContent = val;
+    lbl.style.marginRight = '4px';
+    span.appendChild(cb);
+    span.appendChild(lbl);
+    tempoContainer.appendChild(span);
   });
-  masteryGroup.appendChild(circleLabel);
-  masteryGroup.appendChild(circleSelect);
-  // Chromatic
-  const chromLabel = document.createElement('label');
-  chromLabel.textContent = 'Chromatic';
-  chromLabel.setAttribute('for', 'chromStatus');
-  const chromSelect = document.createElement('select');
-  chromSelect.id = 'chromStatus';
-  ['not_started','in_progress','mastered'].forEach(val => {
-    const opt = document.createElement('option');
-    opt.value = val;
-    opt.textContent = val;
-    chromSelect.appendChild(opt);
+  temposGroup.appendChild(tempoContainer);
+  section.appendChild(temposGroup);
+  // Keys practiced
+  const keysGroup = document.createElement('div');
+  keysGroup.className = 'form-group';
+  const keysLbl = document.createElement('label');
+  keysLbl.textContent = 'Keys Practiced';
+  keysGroup.appendChild(keysLbl);
+  const keyContainer = document.createElement('div');
+  keyContainer.style.display = 'flex';
+  keyContainer.style.flexWrap = 'wrap';
+  keyContainer.style.gap = '6px';
+  KEY_NAMES.forEach(key => {
+    const span = document.createElement('span');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = key;
+    cb.name = 'key';
+    cb.checked = (pre.keys || []).includes(key);
+    const lbl = document.createElement('label');
+    lbl.textContent = key;
+    lbl.style.marginRight = '4px';
+    span.appendChild(cb);
+    span.appendChild(lbl);
+    keyContainer.appendChild(span);
   });
-  masteryGroup.appendChild(chromLabel);
-  masteryGroup.appendChild(chromSelect);
-  container.appendChild(masteryGroup);
+  keysGroup.appendChild(keyContainer);
+  section.appendChild(keysGroup);
+  // Error rate
+  const errGroup = document.createElement('div');
+  errGroup.className = 'form-group';
+  const errLbl = document.createElement('label');
+  errLbl.textContent = 'Error Rate (%)';
+  const errInput = document.createElement('input');
+  errInput.type = 'number';
+  errInput.min = '0';
+  errInput.max = '100';
+  errInput.value = String(pre.errorRate || 0);
+  errGroup.appendChild(errLbl);
+  errGroup.appendChild(errInput);
+  if (pre.score) {
+    const scoreHint = document.createElement('p');
+    scoreHint.className = 'hint';
+    scoreHint.textContent = `From the scored take: ${formatScore(pre.score)}`;
+    errGroup.appendChild(scoreHint);
+  }
+  if (pre.speeds && pre.speeds.length) {
+    const speedHint = document.createElement('p');
+    speedHint.className = 'hint';
+    speedHint.textContent = `Played at ${pre.speeds.join('%, ')}% of the original speed`;
+    temposGroup.appendChild(speedHint);
+  }
+  if (pre.repetitions) {
+    const missHint = document.createElement('p');
+    missHint.className = 'hint';
+    missHint.textContent = `${pre.misses || 0} misses in ${pre.repetitions} repetitions`;
+    errGroup.appendChild(missHint);
+  }
+  section.appendChild(errGroup);
+  // Duration
+  const durGroup = document.createElement('div');
+  durGroup.className = 'form-group';
+  const durLbl = document.createElement('label');
+  durLbl.textContent = 'Duration (minutes, optional)';
+  const durInput = document.createElement('input');
+  durInput.type = 'number';
+  durInput.min = '0';
+  durInput.step = '0.1';
+  if (pre.durationSec) durInput.value = (pre.durationSec / 60).toFixed(1);
+  durGroup.appendChild(durLbl);
+  durGroup.appendChild(durInput);
+  section.appendChild(durGroup);
+  // Takes
+  const takesGroup = document.createElement('div');
+  takesGroup.className = 'form-group';
+  const takesLbl = document.createElement('label');
+  takesLbl.textContent = 'Recorded Takes';
+  takesGroup.appendChild(takesLbl);
+  const takeContainer = document.createElement('div');
+  takes.forEach(take => {
+    const row = document.createElement('div');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = take.id;
+    cb.name = 'take';
+    cb.checked = Boolean(pre.id) && take.sessionId === pre.id;
+    const lbl = document.createElement('label');
+    lbl.textContent = `${new Date(take.createdAt).toLocaleString()} — ${formatDuration(take.durationSec || 0)} — ` +
+      `${take.key || card.key || 'C'} at ${Math.round((take.rate || 1) * 100)}%` +
+      (take.score ? ` — ${take.score.accuracy}% accurate` : '');
+    row.appendChild(cb);
+    row.appendChild(lbl);
+    takeContainer.appendChild(row);
+  });
+  if (takes.length === 0) {
+    const none = document.createElement('p');
+    none.className = 'hint';
+    none.textContent = 'No takes to attach. Record them under My Takes on the card.';
+    takeContainer.appendChild(none);
+  }
+  takesGroup.appendChild(takeContainer);
+  section.appendChild(takesGroup);
+  // Notes
+  const notesGroup = document.createElement('div');
+  notesGroup.className = 'form-group';
+  const notesLbl = document.createElement('label');
+  notesLbl.textContent = 'Notes (optional)';
+  const notesInput = document.createElement('textarea');
+  notesInput.value = pre.notes || '';
+  notesGroup.appendChild(notesLbl);
+  notesGroup.appendChild(notesInput);
+  section.appendChild(notesGroup);
   // Buttons
-  const buttonGroup = document.createElement('div');
-  buttonGroup.className = 'button-group';
+  const btnGroup = document.createElement('div');
+  btnGroup.className = 'button-group';
   const saveBtn = document.createElement('button');
-  saveBtn.textContent = 'Save';
+  saveBtn.textContent = 'Save Session';
   saveBtn.type = 'button';
   const cancelBtn = document.createElement('button');
   cancelBtn.textContent = 'Cancel';
   cancelBtn.type = 'button';
-  buttonGroup.appendChild(saveBtn);
-  buttonGroup.appendChild(cancelBtn);
-  container.appendChild(buttonGroup);
+  btnGroup.appendChild(saveBtn);
+  btnGroup.appendChild(cancelBtn);
+  section.appendChild(btnGroup);
+  // Render this section in main (replace existing content)
+  clearView(main);
+  main.appendChild(section);
+  // Save handler
+  saveBtn.addEventListener('click', async () => {
+    const mode = modeSelect.value;
+    const tempos = Array.from(tempoContainer.querySelectorAll('input[name="tempo"]:checked')).map(el => parseInt(el.value, 10));
+    const keys = Array.from(keyContainer.querySelectorAll('input[name="key"]:checked')).map(el => el.value);
+    const errorRate = errInput.value ? parseFloat(errInput.value) : 0;
+    const notes = notesInput.value.trim() || undefined;
+    const durationSec = durInput.value ? Math.round(parseFloat(durInput.value) * 60) : undefined;
+    const takeIds = Array.from(takeContainer.querySelectorAll('input[name="take"]:checked')).map(el => el.value);
+    if (editing) {
+      Object.assign(editing, {
+        temposAchieved: tempos,
+        keys: keys,
+        errorRate: errorRate,
+        mode: mode,
+        notes: notes,
+        durationSec: durationSec || undefined
+      });
+      rebuildMastery(card);
+      rebuildReview(card);
+      const droppedIds = takes.filter(take => take.sessionId === editing.id && !takeIds.includes(take.id)).map(take => take.id);
+      try {
+        await saveCard(card, null);
+        if (takeIds.length) await attachTakesToSession(takeIds, editing.id);
+        if (droppedIds.length) await attachTakesToSession(droppedIds, null);
+        goBack(cardPath(card.id));
+      } catch (err) {
+        console.error('Error saving session', err);
+        alert('Failed to save session.');
+      }
+      return;
+    }
+    const session = {
+      id: newId(),
+      cardId: card.id,
+      date: Date.now(),
+      temposAchieved: tempos,
+      keys: keys,
+      errorRate: errorRate,
+      mode: mode,
+      notes: notes,
+      durationSec: durationSec || undefined
+    };
+    card.sessions = Array.isArray(card.sessions) ? card.sessions : [];
+    card.sessions.push(session);
+    applySessionToMastery(card, session);
+    scheduleReview(card, session);
+    try {
+      await saveCard(card, null);
+      if (takeIds.length) await attachTakesToSession(takeIds, session.id);
+      goBack(cardPath(card.id));
+    } catch (err) {
+      console.error('Error saving session', err);
+      alert('Failed to save session.');
+    }
+  });
+  cancelBtn.addEventListener('click', () => {
+    goBack(cardPath(card.id));
+  });
+}
+
+function formatDuration(sec) {
+  const m = Math.floor(sec / 60);
+  const ss = String(Math.floor(sec % 60)).padStart(2, '0');
+  return `${m}:${ss}`;
+}
+
+// Live practice: the loop player plus a timer, a miss counter and a log of
+// the keys and tempos actually played, turned into a session on finish.
+async function showPracticeView(id) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const card = await getCard(id);
+  if (!card) {
+    await navigate('#/cards', { replace: true });
+    return;
+  }
+  const blob = card.recordingId ? await getBlob(card.recordingId) : null;
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Practicing: ' + (card.title || 'Untitled');
+  container.appendChild(h2);
+  // Timer and counters
+  const stats = document.createElement('div');
+  stats.className = 'practice-stats';
+  const timerEl = document.createElement('span');
+  timerEl.className = 'practice-timer';
+  const repsEl = document.createElement('span');
+  const missesEl = document.createElement('span');
+  stats.appendChild(timerEl);
+  stats.appendChild(repsEl);
+  stats.appendChild(missesEl);
+  container.appendChild(stats);
+  const controls = document.createElement('div');
+  controls.className = 'loop-row';
+  const missBtn = document.createElement('button');
+  missBtn.type = 'button';
+  missBtn.className = 'miss-btn';
+  missBtn.textContent = 'Miss';
+  const pauseBtn = document.createElement('button');
+  pauseBtn.type = 'button';
+  pauseBtn.textContent = 'Pause Timer';
+  const finishBtn = document.createElement('button');
+  finishBtn.type = 'button';
+  finishBtn.className = 'primary-btn';
+  finishBtn.textContent = 'Finish & Log Session';
+  const discardBtn = document.createElement('button');
+  discardBtn.type = 'button';
+  discardBtn.textContent = 'Discard';
+  controls.appendChild(missBtn);
+  controls.appendChild(pauseBtn);
+  controls.appendChild(finishBtn);
+  controls.appendChild(discardBtn);
+  container.appendChild(controls);
+  const loopPanel = createLoopPanel(card, blob, () => card.trim || { startSec: 0, endSec: 0 });
+  const metronomePanel = createMetronomePanel(card);
+  loopPanel.metronome = metronomePanel;
+  container.appendChild(loopPanel.element);
+  // Written-out phrase to read from, when the card has one
+  if (card.abc || (card.attachments || []).length) {
+    const notationPanel = createNotationPanel(card);
+    loopPanel.onKeyChange = key => notationPanel.setKey(key);
+    container.appendChild(notationPanel.element);
+  }
+  container.appendChild(metronomePanel.element);
+  // Without the recording's own tempo there is no BPM to log, so speeds
+  // keeps the playback speeds (percent of the original) instead
+  const log = { repetitions: 0, misses: 0, tempos: new Set(), speeds: new Set(), keys: new Set(), drillMode: 'off', takeIds: [], score: null };
+  const takesPanel = createTakesPanel(card, blob, loopPanel, {
+    onTake: take => log.takeIds.push(take.id),
+    // The latest take scored during this run rates the session
+    onScore: (take, score) => {
+      if (log.takeIds.includes(take.id)) log.score = score;
+    }
+  });
+  loopPanel.onStart = () => takesPanel.stopPlayback();
+  container.appendChild(takesPanel.element);
+  main.appendChild(container);
+
+  let elapsed = 0;
+  let resumedAt = Date.now();
+  const elapsedSec = () => (elapsed + (resumedAt ? Date.now() - resumedAt : 0)) / 1000;
+  const paint = () => {
+    timerEl.textContent = formatDuration(elapsedSec());
+    repsEl.textContent = `Reps: ${log.repetitions}`;
+    missesEl.textContent = `Misses: ${log.misses}`;
+  };
+  paint();
+  const timer = setInterval(paint, 1000);
+  onViewCleanup(() => clearInterval(timer));
+
+  loopPanel.onRepeat = () => {
+    log.repetitions++;
+    log.keys.add(loopPanel.getKey());
+    const bpm = loopPanel.getBpm();
+    if (bpm) log.tempos.add(bpm);
+    else log.speeds.add(Math.round(loopPanel.getRate() * 100));
+    if (loopPanel.getDrillMode() !== 'off') log.drillMode = loopPanel.getDrillMode();
+    paint();
+  };
+  missBtn.addEventListener('click', () => {
+    log.misses++;
+    paint();
+  });
+  bindActions(Object.assign(loopPanelActions(loopPanel), { miss: () => missBtn.click() }));
+  pauseBtn.addEventListener('click', () => {
+    if (resumedAt) {
+      elapsed += Date.now() - resumedAt;
+      resumedAt = null;
+      pauseBtn.textContent = 'Resume Timer';
+    } else {
+      resumedAt = Date.now();
+      pauseBtn.textContent = 'Pause Timer';
+    }
+    paint();
+  });
+  // The run is logged as soon as it finishes; the session's edit form then
+  // takes its place in the history for any corrections
+  finishBtn.addEventListener('click', async () => {
+    const session = {
+      id: newId(),
+      cardId: card.id,
+      date: Date.now(),
+      temposAchieved: Array.from(log.tempos).sort((a, b) => a - b),
+      speeds: log.speeds.size ? Array.from(log.speeds).sort((a, b) => a - b) : undefined,
+      keys: Array.from(log.keys),
+      errorRate: log.score ? 100 - log.score.accuracy :
+        log.repetitions ? Math.min(100, Math.round(log.misses / log.repetitions * 100)) : 0,
+      mode: log.drillMode !== 'off' ? log.drillMode : 'free',
+      durationSec: Math.round(elapsedSec()) || undefined,
+      repetitions: log.repetitions,
+      misses: log.misses,
+      score: log.score || undefined
+    };
+    finishBtn.disabled = true;
+    try {
+      // Save into a fresh copy so a failed save leaves nothing half-applied
+      const fresh = await getCard(card.id);
+      if (!fresh) throw new Error('The card no longer exists');
+      fresh.sessions = Array.isArray(fresh.sessions) ? fresh.sessions : [];
+      fresh.sessions.push(session);
+      applySessionToMastery(fresh, session);
+      scheduleReview(fresh, session);
+      await saveCard(fresh, null);
+      if (log.takeIds.length) await attachTakesToSession(log.takeIds, session.id);
+    } catch (err) {
+      console.error('Error saving session', err);
+      alert('Failed to save session.');
+      finishBtn.disabled = false;
+      return;
+    }
+    navigate(`${cardPath(card.id)}/sessions/${encodeURIComponent(session.id)}`, { replace: true });
+  });
+  discardBtn.addEventListener('click', () => {
+    if (log.repetitions === 0 || confirm('Discard this practice run?')) goBack(cardPath(card.id));
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+}
+
+function showBackupView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Backup';
+  container.appendChild(h2);
+  // Storage used by audio, filled in once counted
+  const storageGroup = document.createElement('div');
+  storageGroup.className = 'form-group';
+  const storageLbl = document.createElement('label');
+  storageLbl.textContent = 'Storage';
+  storageGroup.appendChild(storageLbl);
+  const storageReport = document.createElement('div');
+  storageReport.className = 'hint';
+  storageReport.textContent = 'Counting…';
+  storageGroup.appendChild(storageReport);
+  container.appendChild(storageGroup);
+  // Export
+  const exportGroup = document.createElement('div');
+  exportGroup.className = 'form-group';
+  const exportLbl = document.createElement('label');
+  exportLbl.textContent = 'Export Library';
+  const exportHint = document.createElement('p');
+  exportHint.className = 'hint';
+  exportHint.textContent = 'Download every card, session and recording as a single .zip file.';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.textContent = 'Export Library';
+  exportGroup.appendChild(exportLbl);
+  exportGroup.appendChild(exportHint);
+  exportGroup.appendChild(exportBtn);
+  container.appendChild(exportGroup);
+  // Import
+  const importGroup = document.createElement('div');
+  importGroup.className = 'form-group';
+  const importLbl = document.createElement('label');
+  importLbl.textContent = 'Import';
+  importLbl.setAttribute('for', 'importInput');
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.zip,application/zip';
+  importInput.id = 'importInput';
+  importGroup.appendChild(importLbl);
+  importGroup.appendChild(importInput);
+  const modeDiv = document.createElement('div');
+  modeDiv.className = 'loop-row';
+  [['merge', 'Merge by card id (keep the newer copy)'], ['replace', 'Replace the whole library']].forEach(([val, text], i) => {
+    const lbl = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'importMode';
+    radio.value = val;
+    radio.checked = i === 0;
+    lbl.appendChild(radio);
+    lbl.appendChild(document.createTextNode(' ' + text));
+    modeDiv.appendChild(lbl);
+  });
+  importGroup.appendChild(modeDiv);
+  const report = document.createElement('div');
+  report.className = 'import-report';
+  importGroup.appendChild(report);
+  const importBtn = document.createElement('button');
+  importBtn.type = 'button';
+  importBtn.textContent = 'Import';
+  importBtn.disabled = true;
+  importGroup.appendChild(importBtn);
+  container.appendChild(importGroup);
+  main.appendChild(container);
+
+  let archive = null;
+  const getMode = () => modeDiv.querySelector('input[name="importMode"]:checked').value;
+
+  async function showStorage() {
+    const [cards, recordings, takes, warning] = await Promise.all([
+      getAllRecords('cards'), getAllRecords('recordings'), getAllRecords('takes'), getStorageWarning()
+    ]);
+    const recordingBytes = recordings.reduce((sum, rec) => sum + (rec.size || 0), 0);
+    const takeBytes = takes.reduce((sum, take) => sum + (take.size || 0), 0);
+    const notationBytes = cards.reduce((sum, card) => sum + attachmentBytes(card), 0);
+    const notationFiles = cards.reduce((sum, card) => sum + (card.attachments || []).length, 0);
+    storageReport.innerHTML = '';
+    const addLine = (text, className) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      if (className) p.className = className;
+      storageReport.appendChild(p);
+    };
+    addLine(`Recordings: ${formatBytes(recordingBytes)} in ${recordings.length} files. Takes: ${formatBytes(takeBytes)} in ${takes.length} files. ` +
+      `Notation: ${formatBytes(notationBytes)} in ${notationFiles} files.`);
+    if (warning) addLine(warning, 'storage-warning');
+    // Largest cards first; a shared recording counts towards each of its cards
+    const sizes = new Map(recordings.map(rec => [rec.id, rec.size || 0]));
+    const perCard = cards.map(card => ({
+      card,
+      bytes: (sizes.get(card.recordingId) || 0) + attachmentBytes(card) +
+        takes.filter(t => t.cardId === card.id).reduce((sum, t) => sum + (t.size || 0), 0)
+    })).sort((a, b) => b.bytes - a.bytes).slice(0, 10);
+    if (perCard.length === 0) return;
+    const ul = document.createElement('ul');
+    perCard.forEach(({ card, bytes }) => {
+      const li = document.createElement('li');
+      li.className = 'queue-title';
+      li.textContent = `${card.title || 'Untitled'} — ${formatBytes(bytes)}`;
+      li.addEventListener('click', () => navigate(cardPath(card.id)));
+      ul.appendChild(li);
+    });
+    storageReport.appendChild(ul);
+  }
+  showStorage().catch(err => {
+    console.error('Error measuring storage', err);
+    storageReport.textContent = '';
+  });
+
+  async function showReport() {
+    report.innerHTML = '';
+    if (!archive) return;
+    const localCards = await getAllRecords('cards');
+    const local = new Map(localCards.map(c => [c.id, c]));
+    const addLine = (text, className) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      if (className) p.className = className;
+      report.appendChild(p);
+    };
+    const date = archive.exportedAt ? new Date(archive.exportedAt).toLocaleString() : 'unknown date';
+    addLine(`Backup from ${date}: ${archive.cards.length} cards, ${archive.recordings.length} recordings` +
+      (archive.takes.length ? `, ${archive.takes.length} takes.` : '.'));
+    archive.problems.forEach(problem => addLine(problem, 'import-problem'));
+    if (getMode() === 'replace') {
+      addLine(`Replacing deletes the ${localCards.length} cards currently on this device.`, 'import-problem');
+      return;
+    }
+    const conflicts = archive.cards.filter(c => local.has(c.id));
+    if (conflicts.length === 0) {
+      addLine('No conflicts: every card in the backup is new to this device.');
+      return;
+    }
+    addLine(`${conflicts.length} cards already exist here:`);
+    const ul = document.createElement('ul');
+    conflicts.forEach(c => {
+      const existing = local.get(c.id);
+      const li = document.createElement('li');
+      const newer = (c.updatedAt || 0) > (existing.updatedAt || 0);
+      li.textContent = `${c.title || 'Untitled'} — ${newer ? 'backup copy is newer and will replace this one' : 'copy on this device is newer and will be kept'}`;
+      ul.appendChild(li);
+    });
+    report.appendChild(ul);
+  }
+
+  exportBtn.addEventListener('click', async () => {
+    exportBtn.disabled = true;
+    exportBtn.textContent = 'Exporting…';
+    try {
+      const zip = await exportLibrary();
+      downloadBlob(zip, `phrasecards-backup-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (err) {
+      console.error('Error exporting library', err);
+      alert('Failed to export the library.');
+    }
+    exportBtn.disabled = false;
+    exportBtn.textContent = 'Export Library';
+  });
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    archive = null;
+    importBtn.disabled = true;
+    report.innerHTML = '';
+    if (!file) return;
+    try {
+      archive = await readLibraryArchive(file);
+      importBtn.disabled = false;
+      await showReport();
+    } catch (err) {
+      console.error('Error reading backup', err);
+      report.textContent = 'This file cannot be imported: ' + err.message;
+    }
+  });
+  modeDiv.addEventListener('change', showReport);
+  importBtn.addEventListener('click', async () => {
+    if (!archive) return;
+    const mode = getMode();
+    if (mode === 'replace' && !confirm('Replace the whole library with this backup?')) return;
+    importBtn.disabled = true;
+    try {
+      const result = await importLibrary(archive, mode);
+      alert(`Import finished: ${result.added} added, ${result.updated} updated, ${result.kept} kept, ${result.skipped} skipped.`);
+      await navigate('#/cards');
+    } catch (err) {
+      console.error('Error importing backup', err);
+      alert('Failed to import the backup.');
+      importBtn.disabled = false;
+    }
+  });
+}
+
+async function showTodayView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const cards = await getAllCards();
+  const queue = buildPracticeQueue(cards, Date.now());
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Today';
+  container.appendChild(h2);
+  const next = queue.overdue[0] || queue.due[0] || queue.fresh[0];
+  const summary = document.createElement('p');
+  summary.textContent = `${queue.overdue.length} overdue, ${queue.due.length} due today, ${queue.fresh.length} not practiced yet.`;
+  container.appendChild(summary);
+  if (next) {
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.textContent = `Practice Next: ${next.title || 'Untitled'}`;
+    nextBtn.addEventListener('click', () => navigate(`${cardPath(next.id)}/practice`));
+    container.appendChild(nextBtn);
+  } else {
+    const p = document.createElement('p');
+    p.textContent = 'Nothing is due. Come back tomorrow!';
+    container.appendChild(p);
+  }
+  const today = startOfDay(Date.now());
+  const describe = card => {
+    if (!card.review) return 'New';
+    const days = Math.round((startOfDay(card.review.due) - today) / DAY_MS);
+    if (days < 0) return `${-days} day${days === -1 ? '' : 's'} overdue`;
+    if (days === 0) return 'Due today';
+    return `Due in ${days} day${days === 1 ? '' : 's'}`;
+  };
+  [
+    ['Overdue', queue.overdue],
+    ['Due Today', queue.due],
+    ['New', queue.fresh],
+    ['Coming Up This Week', queue.upcoming]
+  ].forEach(([title, list]) => {
+    if (list.length === 0) return;
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    container.appendChild(h3);
+    list.forEach(card => {
+      const row = document.createElement('div');
+      row.className = 'queue-row';
+      const name = document.createElement('span');
+      name.className = 'queue-title';
+      name.textContent = card.title || 'Untitled';
+      name.addEventListener('click', () => navigate(cardPath(card.id)));
+      row.appendChild(name);
+      const info = document.createElement('span');
+      info.className = 'hint';
+      info.textContent = describe(card) +
+        (card.review ? ` · every ${card.review.interval} day${card.review.interval === 1 ? '' : 's'}` : '');
+      row.appendChild(info);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Practice';
+      btn.addEventListener('click', () => navigate(`${cardPath(card.id)}/practice`));
+      row.appendChild(btn);
+      container.appendChild(row);
+    });
+  });
+  main.appendChild(container);
+}
+
+/* Statistics */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs || {}).forEach(name => el.setAttribute(name, attrs[name]));
+  return el;
+}
+
+function allSessions(cards) {
+  return cards.flatMap(card => card.sessions || []);
+}
+
+// Practice per calendar day: Map of day start -> { sessions, minutes }
+function practiceByDay(cards) {
+  const days = new Map();
+  allSessions(cards).forEach(sess => {
+    if (!sess.date) return;
+    const day = startOfDay(sess.date);
+    const entry = days.get(day) || { sessions: 0, minutes: 0 };
+    entry.sessions++;
+    entry.minutes += (sess.durationSec || 0) / 60;
+    days.set(day, entry);
+  });
+  return days;
+}
+
+// Current streak counts back from today, or from yesterday if today has no
+// practice yet, so the streak doesn't read 0 every morning.
+function practiceStreaks(days, now) {
+  const sorted = Array.from(days.keys()).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  sorted.forEach(day => {
+    // Compare calendar days by rounding, which absorbs DST shifts
+    run = prev !== null && Math.round((day - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = day;
+  });
+  let current = 0;
+  let day = startOfDay(now);
+  if (!days.has(day)) day = startOfDay(day - DAY_MS / 2);
+  while (days.has(day)) {
+    current++;
+    day = startOfDay(day - DAY_MS / 2);
+  }
+  return { current, longest };
+}
+
+// Monday 00:00 of the week containing ts
+function startOfWeek(ts) {
+  const d = new Date(startOfDay(ts));
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+function weeklyMinutes(days, weeks, now) {
+  const result = [];
+  const thisWeek = startOfWeek(now);
+  for (let i = weeks - 1; i >= 0; i--) {
+    const d = new Date(thisWeek);
+    d.setDate(d.getDate() - 7 * i);
+    result.push({ week: d.getTime(), minutes: 0 });
+  }
+  days.forEach((entry, day) => {
+    const week = startOfWeek(day);
+    const slot = result.find(r => r.week === week);
+    if (slot) slot.minutes += entry.minutes;
+  });
+  return result;
+}
+
+function createBarChart(data, formatLabel) {
+  const width = 600;
+  const height = 180;
+  const pad = { left: 36, right: 8, top: 10, bottom: 24 };
+  const max = Math.max(...data.map(d => d.value), 1);
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart' });
+  const barW = (width - pad.left - pad.right) / data.length;
+  [0, max].forEach(v => {
+    const y = height - pad.bottom - v / max * (height - pad.top - pad.bottom);
+    svg.appendChild(svgEl('line', { x1: pad.left, x2: width - pad.right, y1: y, y2: y, class: 'chart-grid' }));
+    const label = svgEl('text', { x: pad.left - 4, y: y + 4, 'text-anchor': 'end', class: 'chart-label' });
+    label.textContent = String(Math.round(v));
+    svg.appendChild(label);
+  });
+  data.forEach((d, i) => {
+    const h = d.value / max * (height - pad.top - pad.bottom);
+    const rect = svgEl('rect', {
+      x: pad.left + i * barW + 2,
+      y: height - pad.bottom - h,
+      width: Math.max(1, barW - 4),
+      height: h,
+      class: 'chart-bar'
+    });
+    const title = svgEl('title');
+    title.textContent = `${formatLabel(d)}: ${Math.round(d.value)}`;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+    if (i % 2 === 0) {
+      const label = svgEl('text', { x: pad.left + i * barW + barW / 2, y: height - 6, 'text-anchor': 'middle', class: 'chart-label' });
+      label.textContent = formatLabel(d);
+      svg.appendChild(label);
+    }
+  });
+  return svg;
+}
+
+// Max tempo (left axis) and error rate (right axis, 0-100%) per session
+function createProgressChart(sessions) {
+  const width = 600;
+  const height = 200;
+  const pad = { left: 40, right: 40, top: 10, bottom: 24 };
+  const points = sessions.filter(s => s.date).sort((a, b) => a.date - b.date).map(s => ({
+    date: s.date,
+    tempo: Math.max(...(s.temposAchieved || []), 0),
+    errors: s.errorRate || 0
+  }));
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart' });
+  if (points.length === 0) return svg;
+  const first = points[0].date;
+  const span = Math.max(1, points[points.length - 1].date - first);
+  const maxTempo = Math.max(...points.map(p => p.tempo), 1);
+  const plotH = height - pad.top - pad.bottom;
+  const x = date => points.length === 1 ? width / 2 : pad.left + (date - first) / span * (width - pad.left - pad.right);
+  const yTempo = v => height - pad.bottom - v / maxTempo * plotH;
+  const yErr = v => height - pad.bottom - v / 100 * plotH;
+  svg.appendChild(svgEl('line', { x1: pad.left, x2: width - pad.right, y1: height - pad.bottom, y2: height - pad.bottom, class: 'chart-grid' }));
+  [[pad.left - 4, 'end', `${maxTempo} BPM`], [width - pad.right + 4, 'start', '100%']].forEach(([lx, anchor, text]) => {
+    const label = svgEl('text', { x: lx, y: pad.top + 8, 'text-anchor': anchor, class: 'chart-label' });
+    label.textContent = text;
+    svg.appendChild(label);
+  });
+  [[new Date(first), pad.left, 'start'], [new Date(points[points.length - 1].date), width - pad.right, 'end']].forEach(([d, lx, anchor]) => {
+    const label = svgEl('text', { x: lx, y: height - 6, 'text-anchor': anchor, class: 'chart-label' });
+    label.textContent = d.toLocaleDateString();
+    svg.appendChild(label);
+  });
+  const tempoPoints = points.filter(p => p.tempo > 0);
+  svg.appendChild(svgEl('polyline', { points: tempoPoints.map(p => `${x(p.date)},${yTempo(p.tempo)}`).join(' '), class: 'chart-line tempo' }));
+  svg.appendChild(svgEl('polyline', { points: points.map(p => `${x(p.date)},${yErr(p.errors)}`).join(' '), class: 'chart-line errors' }));
+  tempoPoints.forEach(p => {
+    svg.appendChild(svgEl('circle', { cx: x(p.date), cy: yTempo(p.tempo), r: 3, class: 'chart-dot tempo' }));
+  });
+  return svg;
+}
+
+// GitHub-style calendar: one column per week, darker for more practice
+function createHeatmap(days, weeks, now) {
+  const cell = 12;
+  const gap = 2;
+  const svg = svgEl('svg', { viewBox: `0 0 ${weeks * (cell + gap)} ${7 * (cell + gap)}`, class: 'heatmap' });
+  const firstWeek = new Date(startOfWeek(now));
+  firstWeek.setDate(firstWeek.getDate() - 7 * (weeks - 1));
+  const maxSessions = Math.max(1, ...Array.from(days.values()).map(d => d.sessions));
+  for (let w = 0; w < weeks; w++) {
+    for (let d = 0; d < 7; d++) {
+      const date = new Date(firstWeek);
+      date.setDate(date.getDate() + w * 7 + d);
+      if (date.getTime() > now) continue;
+      const entry = days.get(date.getTime());
+      const level = entry ? Math.ceil(entry.sessions / maxSessions * 4) : 0;
+      const rect = svgEl('rect', { x: w * (cell + gap), y: d * (cell + gap), width: cell, height: cell, class: `heat-${level}` });
+      const title = svgEl('title');
+      title.textContent = `${date.toLocaleDateString()}: ${entry ? entry.sessions : 0} sessions` +
+        (entry && entry.minutes ? `, ${Math.round(entry.minutes)} min` : '');
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    }
+  }
+  return svg;
+}
+
+async function showStatsView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const cards = await getAllCards();
+  clearView(main);
+  const now = Date.now();
+  const days = practiceByDay(cards);
+  const streaks = practiceStreaks(days, now);
+  const sessions = allSessions(cards);
+  const totalMinutes = sessions.reduce((sum, sess) => sum + (sess.durationSec || 0) / 60, 0);
+  const container = document.createElement('div');
+  container.className = 'stats';
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Progress';
+  container.appendChild(h2);
+  const addSection = title => {
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    container.appendChild(h3);
+  };
+  // Headline numbers
+  const tiles = document.createElement('div');
+  tiles.className = 'stat-tiles';
+  [
+    ['Cards', cards.length],
+    ['Sessions', sessions.length],
+    ['Practice time', `${Math.round(totalMinutes)} min`],
+    ['Current streak', `${streaks.current} day${streaks.current === 1 ? '' : 's'}`],
+    ['Longest streak', `${streaks.longest} day${streaks.longest === 1 ? '' : 's'}`]
+  ].forEach(([label, value]) => {
+    const tile = document.createElement('div');
+    tile.className = 'stat-tile';
+    const v = document.createElement('strong');
+    v.textContent = String(value);
+    const l = document.createElement('span');
+    l.textContent = label;
+    tile.appendChild(v);
+    tile.appendChild(l);
+    tiles.appendChild(tile);
+  });
+  container.appendChild(tiles);
+  // Mastery counts
+  addSection('Cards by Mastery');
+  const table = document.createElement('table');
+  table.className = 'stats-table';
+  const head = document.createElement('tr');
+  ['', ...MASTERY_STATUSES].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  MASTERY_MODES.forEach(mode => {
+    const row = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = MASTERY_LABELS[mode];
+    row.appendChild(th);
+    MASTERY_STATUSES.forEach(status => {
+      const td = document.createElement('td');
+      td.className = status;
+      td.textContent = String(cards.filter(card => masterySummary(card, mode).status === status).length);
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+  container.appendChild(table);
+  // Calendar
+  addSection('Practice Calendar');
+  container.appendChild(createHeatmap(days, 26, now));
+  // Weekly time
+  addSection('Practice Time per Week (minutes)');
+  const weekly = weeklyMinutes(days, 12, now).map(w => ({ week: w.week, value: w.minutes }));
+  container.appendChild(createBarChart(weekly, d => {
+    const date = new Date(d.week);
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  }));
+  if (sessions.some(sess => !sess.durationSec)) {
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = 'Sessions logged without a duration count towards streaks and the calendar but not practice time.';
+    container.appendChild(hint);
+  }
+  // Per-card progress
+  addSection('Card Progress');
+  const practiced = cards.filter(card => (card.sessions || []).length > 0);
+  if (practiced.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = 'No sessions logged yet.';
+    container.appendChild(p);
+  } else {
+    const select = document.createElement('select');
+    practiced.sort((a, b) => cardLastPracticed(b) - cardLastPracticed(a)).forEach(card => {
+      const opt = document.createElement('option');
+      opt.value = card.id;
+      opt.textContent = card.title || 'Untitled';
+      select.appendChild(opt);
+    });
+    container.appendChild(select);
+    const legend = document.createElement('p');
+    legend.className = 'hint';
+    legend.innerHTML = '<span class="legend tempo"></span> Max tempo &nbsp; <span class="legend errors"></span> Error rate';
+    container.appendChild(legend);
+    const chartSlot = document.createElement('div');
+    container.appendChild(chartSlot);
+    const drawCard = () => {
+      const card = practiced.find(c => c.id === select.value);
+      chartSlot.innerHTML = '';
+      chartSlot.appendChild(createProgressChart(card.sessions || []));
+    };
+    select.addEventListener('change', drawCard);
+    drawCard();
+  }
+  main.appendChild(container);
+}
+
+/* Trash */
+
+async function showTrashView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const cards = await getTrashedCards();
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Trash';
+  container.appendChild(h2);
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = `Deleted cards stay here with their audio and sessions for ${TRASH_DAYS} days, then are removed for good.`;
+  container.appendChild(hint);
+  if (cards.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = 'The trash is empty.';
+    container.appendChild(p);
+  }
+  cards.sort((a, b) => b.deletedAt - a.deletedAt).forEach(card => {
+    const row = document.createElement('div');
+    row.className = 'queue-row';
+    const name = document.createElement('span');
+    name.className = 'queue-title';
+    name.textContent = card.title || 'Untitled';
+    name.addEventListener('click', () => navigate(cardPath(card.id)));
+    row.appendChild(name);
+    const info = document.createElement('span');
+    info.className = 'hint';
+    const daysLeft = Math.max(0, Math.ceil((card.deletedAt + TRASH_DAYS * DAY_MS - Date.now()) / DAY_MS));
+    info.textContent = `Deleted ${new Date(card.deletedAt).toLocaleDateString()}, ${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+    row.appendChild(info);
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', async () => {
+      try {
+        await restoreCard(card.id);
+        await showTrashView();
+      } catch (err) {
+        console.error('Error restoring card', err);
+        alert('Failed to restore card.');
+      }
+    });
+    row.appendChild(restoreBtn);
+    const purgeBtn = document.createElement('button');
+    purgeBtn.type = 'button';
+    purgeBtn.textContent = 'Delete Forever';
+    purgeBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete "${card.title || 'Untitled'}" and its audio for good?`)) return;
+      try {
+        await purgeCard(card.id);
+        await showTrashView();
+      } catch (err) {
+        console.error('Error deleting card', err);
+        alert('Failed to delete card.');
+      }
+    });
+    row.appendChild(purgeBtn);
+    container.appendChild(row);
+  });
+  if (cards.length > 0) {
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+    const emptyBtn = document.createElement('button');
+    emptyBtn.type = 'button';
+    emptyBtn.textContent = 'Empty Trash';
+    emptyBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete ${cards.length} card${cards.length === 1 ? '' : 's'} and their audio for good?`)) return;
+      try {
+        for (const card of cards) await purgeCard(card.id);
+        await showTrashView();
+      } catch (err) {
+        console.error('Error emptying trash', err);
+        alert('Failed to empty the trash.');
+      }
+    });
+    buttonGroup.appendChild(emptyBtn);
+    container.appendChild(buttonGroup);
+  }
   main.appendChild(container);
-  // Event listeners
-  fileInput.addEventListener('change', e => {
-    const file = e.target.files && e.target.files[0];
-    if (!file) return;
-    selectedFile = file;
-    const url = URL.createObjectURL(file);
-    audioPreview.src = url;
-    audioPreview.classList.remove('hidden');
-    // Wait for metadata to set duration
-    audioPreview.onloadedmetadata = () => {
-      const duration = audioPreview.duration;
-      startInput.value = '0';
-      startInput.min = '0';
-      startInput.max = duration.toFixed(2);
-      endInput.value = duration.toFixed(2);
-      endInput.min = '0';
-      endInput.max = duration.toFixed(2);
-    };
-    audioPreview.load();
+}
+
+/* Setlists */
+
+function setlistPath(id) {
+  return `#/setlists/${encodeURIComponent(id)}`;
+}
+
+// Rough running time of a setlist, from each card's phrase length, speed
+// and loop count plus the gap between loops
+function setlistDuration(setlist, cards, gapSec) {
+  return setlist.items.reduce((sum, item) => {
+    const card = cards.get(item.cardId);
+    if (!card || !card.trim) return sum;
+    const phrase = (card.trim.endSec - card.trim.startSec) / ((item.speed || 100) / 100);
+    return sum + item.loops * (phrase + gapSec);
+  }, 0);
+}
+
+async function showSetlistsView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const setlists = await getAllRecords('setlists');
+  const cards = new Map((await getAllCards()).map(card => [card.id, card]));
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Setlists';
+  container.appendChild(h2);
+  const createRow = document.createElement('div');
+  createRow.className = 'input-row';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'New setlist name, e.g. Warm-up bebop licks';
+  createRow.appendChild(nameInput);
+  const createBtn = document.createElement('button');
+  createBtn.type = 'button';
+  createBtn.textContent = 'New Setlist';
+  createRow.appendChild(createBtn);
+  container.appendChild(createRow);
+  if (setlists.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = 'No setlists yet. A setlist plays several cards back to back and logs a session on each.';
+    container.appendChild(p);
+  }
+  setlists.sort((a, b) => (a.name || '').localeCompare(b.name || '')).forEach(setlist => {
+    const row = document.createElement('div');
+    row.className = 'queue-row';
+    const name = document.createElement('span');
+    name.className = 'queue-title';
+    name.textContent = setlist.name || 'Untitled setlist';
+    name.addEventListener('click', () => navigate(setlistPath(setlist.id)));
+    row.appendChild(name);
+    const info = document.createElement('span');
+    info.className = 'hint';
+    const count = setlist.items.filter(item => cards.has(item.cardId)).length;
+    info.textContent = `${count} card${count === 1 ? '' : 's'}, about ${formatDuration(setlistDuration(setlist, cards, 0.5))}`;
+    row.appendChild(info);
+    const playBtn = document.createElement('button');
+    playBtn.type = 'button';
+    playBtn.textContent = 'Play';
+    playBtn.disabled = count === 0;
+    playBtn.addEventListener('click', () => navigate(`${setlistPath(setlist.id)}/play`));
+    row.appendChild(playBtn);
+    container.appendChild(row);
   });
-  saveBtn.addEventListener('click', async () => {
-    if (!selectedFile) {
-      alert('Please choose an audio file.');
-      return;
-    }
-    const id = (crypto && crypto.randomUUID) ? crypto.randomUUID() : Math.random().toString(36).substring(2);
-    const title = titleInput.value.trim();
-    const source = sourceInput.value.trim();
-    const bpmTarget = bpmInput.value ? parseInt(bpmInput.value, 10) : null;
-    const comments = commentsInput.value.trim();
-    const tags = tagsInput.value.trim() ? tagsInput.value.split(',').map(t => t.trim()).filter(t => t) : [];
-    const startSecVal = parseFloat(startInput.value) || 0;
-    const endSecVal = parseFloat(endInput.value) || 0;
-    if (startSecVal < 0 || endSecVal <= 0 || endSecVal <= startSecVal) {
-      alert('Please enter valid start and end times.');
-      return;
-    }
-    const card = {
-      id: id,
-      title: title,
-      source: source || undefined,
+  main.appendChild(container);
+  createBtn.addEventListener('click', async () => {
+    const setlist = {
+      id: newId(),
+      name: nameInput.value.trim() || 'New setlist',
       createdAt: Date.now(),
-      updatedAt: Date.now(),
-      audioBlobId: '',
-      trim: { startSec: startSecVal, endSec: endSecVal },
-      bpmTarget: bpmTarget || undefined,
-      comments: comments || undefined,
-      tags: tags,
-      mastery: {
-        circleOfFifths: circleSelect.value,
-        chromatic: chromSelect.value
-      },
-      sessions: []
+      items: []
     };
     try {
-      await saveCard(card, selectedFile);
-      selectedFile = null;
-      await loadCards();
+      await saveSetlist(setlist);
+      await navigate(setlistPath(setlist.id));
     } catch (err) {
-      console.error('Error saving card', err);
-      alert('Failed to save card.');
+      console.error('Error creating setlist', err);
+      alert('Failed to create setlist.');
     }
   });
-  cancelBtn.addEventListener('click', () => {
-    selectedFile = null;
-    loadCards();
+}
+
+// Reorder a list's rows by dragging their .drag-handle. Pointer events
+// cover mouse, pen and touch alike (HTML drag and drop doesn't work on iOS).
+// onReorder gets the rows' data-index values in their new order.
+function enableDragReorder(list, onReorder) {
+  list.addEventListener('pointerdown', e => {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || !list.contains(handle)) return;
+    e.preventDefault();
+    const row = handle.closest('li');
+    row.classList.add('dragging');
+    handle.setPointerCapture(e.pointerId);
+    const move = ev => {
+      const next = Array.from(list.children).filter(el => el !== row).find(el => {
+        const rect = el.getBoundingClientRect();
+        return ev.clientY < rect.top + rect.height / 2;
+      });
+      list.insertBefore(row, next || null);
+    };
+    const end = () => {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+      row.classList.remove('dragging');
+      onReorder(Array.from(list.children).map(el => parseInt(el.dataset.index, 10)));
+    };
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
   });
 }
 
-async function viewCard(id) {
+// Setlist editor. Every change is saved straight away.
+async function showSetlistEditor(id) {
   const main = document.getElementById('main');
   if (!main) return;
-  const card = await getCard(id);
-  if (!card) {
-    await loadCards();
+  const setlist = await getSetlist(id);
+  if (!setlist) {
+    await navigate('#/setlists', { replace: true });
     return;
   }
-  const blob = await getBlob(card.audioBlobId);
-  const url = blob ? URL.createObjectURL(blob) : '';
-  main.innerHTML = '';
+  // Trashed cards keep their place in the list until purged
+  const storedCards = await getAllRecords('cards');
+  const cards = new Map(storedCards.map(card => [card.id, card]));
+  const allCards = storedCards.filter(card => !card.deletedAt);
+  clearView(main);
   const container = document.createElement('div');
-  // Header with title and delete button
-  const headerDiv = document.createElement('div');
-  headerDiv.style.display = 'flex';
-  headerDiv.style.justifyContent = 'space-between';
-  headerDiv.style.alignItems = 'center';
-  const h2 = document.createElement('h2');
-  h2.textContent = card.title || 'Untitled';
-  headerDiv.appendChild(h2);
-  const delBtn = document.createElement('button');
-  delBtn.textContent = 'Delete';
-  delBtn.style.background = '#f44336';
-  delBtn.style.color = 'white';
-  delBtn.style.border = 'none';
-  delBtn.style.padding = '6px 10px';
-  delBtn.style.borderRadius = '4px';
-  delBtn.style.cursor = 'pointer';
-  headerDiv.appendChild(delBtn);
-  container.appendChild(headerDiv);
-  // Audio preview and play trimmed
-  const audio = document.createElement('audio');
-  audio.controls = true;
-  audio.src = url;
-  audio.style.display = 'block';
-  audio.style.marginBottom = '8px';
-  container.appendChild(audio);
-  const playTrimBtn = document.createElement('button');
-  playTrimBtn.textContent = 'Play Trimmed Section';
-  playTrimBtn.type = 'button';
-  playTrimBtn.style.marginBottom = '12px';
-  container.appendChild(playTrimBtn);
-  // Edit metadata form
-  const formDiv = document.createElement('div');
-  formDiv.className = 'form-group';
-  // Start & End editing
-  const trimEditGroup = document.createElement('div');
-  trimEditGroup.className = 'form-group';
-  const trimEditLabel = document.createElement('label');
-  trimEditLabel.textContent = 'Trim Start & End (sec)';
-  trimEditGroup.appendChild(trimEditLabel);
-  const startEdit = document.createElement('input');
-  startEdit.type = 'number';
-  startEdit.step = '0.01';
-  startEdit.min = '0';
-  startEdit.value = card.trim?.startSec ?? 0;
-  const endEdit = document.createElement('input');
-  endEdit.type = 'number';
-  endEdit.step = '0.01';
-  endEdit.min = '0';
-  endEdit.value = card.trim?.endSec ?? 0;
-  trimEditGroup.appendChild(startEdit);
-  trimEditGroup.appendChild(endEdit);
-  formDiv.appendChild(trimEditGroup);
-  // Title
-  const titleGroup = document.createElement('div');
-  titleGroup.className = 'form-group';
-  const titleLbl = document.createElement('label');
-  titleLbl.textContent = 'Title';
-  const titleEdit = document.createElement('input');
-  titleEdit.type = 'text';
-  titleEdit.value = card.title || '';
-  titleGroup.appendChild(titleLbl);
-  titleGroup.appendChild(titleEdit);
-  formDiv.appendChild(titleGroup);
-  // Source
-  const sourceGroup = document.createElement('div');
-  sourceGroup.className = 'form-group';
-  const sourceLbl = document.createElement('label');
-  sourceLbl.textContent = 'Source (optional)';
-  const sourceEdit = document.createElement('input');
-  sourceEdit.type = 'text';
-  sourceEdit.value = card.source || '';
-  sourceGroup.appendChild(sourceLbl);
-  sourceGroup.appendChild(sourceEdit);
-  formDiv.appendChild(sourceGroup);
-  // BPM target
-  const bpmGroup = document.createElement('div');
-  bpmGroup.className = 'form-group';
-  const bpmLbl = document.createElement('label');
-  bpmLbl.textContent = 'Target BPM (optional)';
-  const bpmEdit = document.createElement('input');
-  bpmEdit.type = 'number';
-  bpmEdit.min = '0';
-  bpmEdit.value = card.bpmTarget || '';
-  bpmGroup.appendChild(bpmLbl);
-  bpmGroup.appendChild(bpmEdit);
-  formDiv.appendChild(bpmGroup);
-  // Comments
-  const commentsGroup = document.createElement('div');
-  commentsGroup.className = 'form-group';
-  const commentsLbl = document.createElement('label');
-  commentsLbl.textContent = 'Comments';
-  const commentsEdit = document.createElement('textarea');
-  commentsEdit.value = card.comments || '';
-  commentsGroup.appendChild(commentsLbl);
-  commentsGroup.appendChild(commentsEdit);
-  formDiv.appendChild(commentsGroup);
-  // Tags
-  const tagsGroup = document.createElement('div');
-  tagsGroup.className = 'form-group';
-  const tagsLbl = document.createElement('label');
-  tagsLbl.textContent = 'Tags (comma separated)';
-  const tagsEdit = document.createElement('input');
-  tagsEdit.type = 'text';
-  tagsEdit.value = Array.isArray(card.tags) ? card.tags.join(', ') : '';
-  tagsGroup.appendChild(tagsLbl);
-  tagsGroup.appendChild(tagsEdit);
-  formDiv.appendChild(tagsGroup);
-  // Mastery statuses
-  const masteryGroup = document.createElement('div');
-  masteryGroup.className = 'form-group';
-  const masteryLbl = document.createElement('label');
-  masteryLbl.textContent = 'Mastery';
-  masteryGroup.appendChild(masteryLbl);
-  const circleSelect = document.createElement('select');
-  ['not_started','in_progress','mastered'].forEach(val => {
-    const opt = document.createElement('option');
-    opt.value = val;
-    opt.textContent = val;
-    if (card.mastery?.circleOfFifths === val) opt.selected = true;
-    circleSelect.appendChild(opt);
-  });
-  const chromSelect = document.createElement('select');
-  ['not_started','in_progress','mastered'].forEach(val => {
+  const nameGroup = document.createElement('div');
+  nameGroup.className = 'form-group';
+  const nameLbl = document.createElement('label');
+  nameLbl.textContent = 'Setlist Name';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = setlist.name || '';
+  nameGroup.appendChild(nameLbl);
+  nameGroup.appendChild(nameInput);
+  container.appendChild(nameGroup);
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = 'Drag ☰ to reorder. Speed is a percentage of the recording; the player loops each card that many times, then moves on.';
+  container.appendChild(hint);
+  const list = document.createElement('ul');
+  list.className = 'setlist-items';
+  container.appendChild(list);
+  const addRow = document.createElement('div');
+  addRow.className = 'input-row';
+  const cardSelect = document.createElement('select');
+  allCards.sort((a, b) => (a.title || '').localeCompare(b.title || '')).forEach(card => {
     const opt = document.createElement('option');
-    opt.value = val;
-    opt.textContent = val;
-    if (card.mastery?.chromatic === val) opt.selected = true;
-    chromSelect.appendChild(opt);
+    opt.value = card.id;
+    opt.textContent = card.title || 'Untitled';
+    cardSelect.appendChild(opt);
   });
-  const circleLbl = document.createElement('label');
-  circleLbl.textContent = 'Circle of Fifths';
-  const chromLbl = document.createElement('label');
-  chromLbl.textContent = 'Chromatic';
-  masteryGroup.appendChild(circleLbl);
-  masteryGroup.appendChild(circleSelect);
-  masteryGroup.appendChild(chromLbl);
-  masteryGroup.appendChild(chromSelect);
-  formDiv.appendChild(masteryGroup);
-  // Save metadata button
-  const metaBtnGroup = document.createElement('div');
-  metaBtnGroup.className = 'button-group';
-  const saveMetaBtn = document.createElement('button');
-  saveMetaBtn.textContent = 'Save Changes';
-  saveMetaBtn.type = 'button';
-  metaBtnGroup.appendChild(saveMetaBtn);
-  formDiv.appendChild(metaBtnGroup);
-  container.appendChild(formDiv);
-  // Sessions section
-  const sessionSection = document.createElement('div');
-  sessionSection.id = 'sessionSection';
-  const sessionHeader = document.createElement('h3');
-  sessionHeader.textContent = 'Practice Sessions';
-  sessionSection.appendChild(sessionHeader);
-  // Add Session button
-  const addSessBtn = document.createElement('button');
-  addSessBtn.textContent = 'Add Session';
-  addSessBtn.type = 'button';
-  addSessBtn.style.marginBottom = '10px';
-  sessionSection.appendChild(addSessBtn);
-  // Sessions list
-  const sessList = document.createElement('div');
-  if (Array.isArray(card.sessions) && card.sessions.length > 0) {
-    card.sessions.sort((a,b) => (b.date || 0) - (a.date || 0));
-    card.sessions.forEach(sess => {
-      const sessDiv = document.createElement('div');
-      sessDiv.style.borderBottom = '1px solid #ddd';
-      sessDiv.style.padding = '6px 0';
-      const date = new Date(sess.date);
-      const dateStr = date.toLocaleString();
-      const tempoStr = (sess.temposAchieved || []).join(', ');
-      const p = document.createElement('p');
-      p.innerHTML = `<strong>${dateStr}</strong> — Mode: ${sess.mode} — Tempos: ${tempoStr || '—'} — Errors: ${sess.errorRate || 0}%`;
-      if (sess.notes) {
-        const notesP = document.createElement('p');
-        notesP.textContent = 'Notes: ' + sess.notes;
-        notesP.style.fontSize = '0.9rem';
-        sessDiv.appendChild(p);
-        sessDiv.appendChild(notesP);
-      } else {
-        sessDiv.appendChild(p);
-      }
-      sessList.appendChild(sessDiv);
+  addRow.appendChild(cardSelect);
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.textContent = 'Add Card';
+  addBtn.disabled = allCards.length === 0;
+  addRow.appendChild(addBtn);
+  container.appendChild(addRow);
+  const buttonGroup = document.createElement('div');
+  buttonGroup.className = 'button-group';
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'primary-btn';
+  playBtn.textContent = 'Play Setlist';
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.textContent = 'Delete Setlist';
+  buttonGroup.appendChild(playBtn);
+  buttonGroup.appendChild(deleteBtn);
+  container.appendChild(buttonGroup);
+  main.appendChild(container);
+
+  const persist = async () => {
+    try {
+      await saveSetlist(setlist);
+    } catch (err) {
+      console.error('Error saving setlist', err);
+      alert('Failed to save setlist.');
+    }
+  };
+
+  function renderItems() {
+    list.innerHTML = '';
+    setlist.items.forEach((item, index) => {
+      const card = cards.get(item.cardId);
+      const li = document.createElement('li');
+      li.className = 'setlist-item';
+      li.dataset.index = String(index);
+      const handle = document.createElement('span');
+      handle.className = 'drag-handle';
+      handle.textContent = '☰';
+      handle.title = 'Drag to reorder';
+      li.appendChild(handle);
+      const title = document.createElement('span');
+      title.className = 'setlist-title';
+      if (!card) title.textContent = 'Missing card';
+      else title.textContent = (card.title || 'Untitled') + (card.deletedAt ? ' (in trash)' : '');
+      li.appendChild(title);
+      const loopsLbl = document.createElement('label');
+      loopsLbl.textContent = 'Loops ';
+      const loopsInput = document.createElement('input');
+      loopsInput.type = 'number';
+      loopsInput.min = '1';
+      loopsInput.value = String(item.loops);
+      loopsInput.addEventListener('change', () => {
+        item.loops = Math.max(1, parseInt(loopsInput.value, 10) || 1);
+        loopsInput.value = String(item.loops);
+        persist();
+      });
+      loopsLbl.appendChild(loopsInput);
+      li.appendChild(loopsLbl);
+      const speedLbl = document.createElement('label');
+      speedLbl.textContent = 'Speed ';
+      const speedInput = document.createElement('input');
+      speedInput.type = 'number';
+      speedInput.min = '25';
+      speedInput.max = '200';
+      speedInput.value = String(item.speed);
+      speedLbl.appendChild(speedInput);
+      const bpmText = document.createElement('span');
+      const showBpm = () => {
+        bpmText.textContent = card && card.originalBpm ? ` % (${Math.round(card.originalBpm * item.speed / 100)} BPM)` : ' %';
+      };
+      showBpm();
+      speedLbl.appendChild(bpmText);
+      speedInput.addEventListener('change', () => {
+        item.speed = Math.min(200, Math.max(25, Math.round(parseFloat(speedInput.value)) || 100));
+        speedInput.value = String(item.speed);
+        showBpm();
+        persist();
+      });
+      li.appendChild(speedLbl);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        setlist.items.splice(index, 1);
+        renderItems();
+        persist();
+      });
+      li.appendChild(removeBtn);
+      list.appendChild(li);
     });
-  } else {
-    const p = document.createElement('p');
-    p.textContent = 'No sessions yet.';
-    sessList.appendChild(p);
+    playBtn.disabled = setlist.items.length === 0;
+  }
+
+  enableDragReorder(list, order => {
+    setlist.items = order.map(i => setlist.items[i]);
+    renderItems();
+    persist();
+  });
+  nameInput.addEventListener('change', () => {
+    setlist.name = nameInput.value.trim() || 'Untitled setlist';
+    persist();
+  });
+  addBtn.addEventListener('click', () => {
+    const card = cards.get(cardSelect.value);
+    if (!card) return;
+    // Start at the card's target tempo when the recording tempo is known
+    const speed = card.bpmTarget && card.originalBpm ? Math.round(card.bpmTarget / card.originalBpm * 100) : 100;
+    setlist.items.push({ cardId: card.id, loops: 4, speed: Math.min(200, Math.max(25, speed)) });
+    renderItems();
+    persist();
+  });
+  playBtn.addEventListener('click', () => navigate(`${setlistPath(setlist.id)}/play`));
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this setlist? The cards themselves are kept.')) return;
+    try {
+      await deleteSetlist(setlist.id);
+      await navigate('#/setlists', { replace: true });
+    } catch (err) {
+      console.error('Error deleting setlist', err);
+      alert('Failed to delete setlist.');
+    }
+  });
+  renderItems();
+}
+
+// Play a setlist: each card's trimmed phrase loops at its speed for its
+// loop count, then the next card follows after the same gap. Finishing logs
+// a session on every card that was played at least once.
+async function showSetlistPlayer(id) {
+  const main = document.getElementById('main');
+  if (!main) return;
+  const setlist = await getSetlist(id);
+  if (!setlist) {
+    await navigate('#/setlists', { replace: true });
+    return;
   }
-  sessionSection.appendChild(sessList);
-  container.appendChild(sessionSection);
+  const cards = new Map((await getAllCards()).map(card => [card.id, card]));
+  const items = setlist.items.filter(item => cards.has(item.cardId));
+  clearView(main);
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Playing: ' + (setlist.name || 'Untitled setlist');
+  container.appendChild(h2);
+  const nowEl = document.createElement('h3');
+  container.appendChild(nowEl);
+  const stats = document.createElement('div');
+  stats.className = 'practice-stats';
+  const timerEl = document.createElement('span');
+  timerEl.className = 'practice-timer';
+  const counter = document.createElement('span');
+  const missesEl = document.createElement('span');
+  stats.appendChild(timerEl);
+  stats.appendChild(counter);
+  stats.appendChild(missesEl);
+  container.appendChild(stats);
+  const controls = document.createElement('div');
+  controls.className = 'loop-row';
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'primary-btn';
+  playBtn.textContent = 'Start';
+  const missBtn = document.createElement('button');
+  missBtn.type = 'button';
+  missBtn.className = 'miss-btn';
+  missBtn.textContent = 'Miss';
+  const skipBtn = document.createElement('button');
+  skipBtn.type = 'button';
+  skipBtn.textContent = 'Next Card';
+  const finishBtn = document.createElement('button');
+  finishBtn.type = 'button';
+  finishBtn.textContent = 'Finish & Log Sessions';
+  const gapLbl = document.createElement('label');
+  gapLbl.textContent = 'Gap (sec) ';
+  const gapInput = document.createElement('input');
+  gapInput.type = 'number';
+  gapInput.step = '0.1';
+  gapInput.min = '0';
+  gapInput.value = '0.5';
+  gapLbl.appendChild(gapInput);
+  [playBtn, missBtn, skipBtn, finishBtn, gapLbl].forEach(el => controls.appendChild(el));
+  container.appendChild(controls);
+  const progress = document.createElement('ol');
+  progress.className = 'setlist-progress';
+  items.forEach(item => {
+    const li = document.createElement('li');
+    const card = cards.get(item.cardId);
+    li.textContent = `${card.title || 'Untitled'} — ${item.loops} × ${item.speed}%`;
+    progress.appendChild(li);
+  });
+  container.appendChild(progress);
   main.appendChild(container);
-  // Event handlers
-  delBtn.addEventListener('click', async () => {
-    if (confirm('Delete this card?')) {
-      await deleteCard(card.id);
-      await loadCards();
+
+  let index = 0;
+  let loop = 0;
+  let player = null;
+  let disposed = false;
+  let itemStartedAt = null;
+  const startedAt = Date.now();
+  // Per-card results: repetitions, misses and seconds spent
+  const results = new Map();
+  const renders = new Map();
+  const resultFor = item => {
+    if (!results.has(item.cardId)) results.set(item.cardId, { item, reps: 0, misses: 0, seconds: 0 });
+    return results.get(item.cardId);
+  };
+  const paint = () => {
+    const item = items[index];
+    timerEl.textContent = formatDuration((Date.now() - startedAt) / 1000);
+    Array.from(progress.children).forEach((li, i) => {
+      li.className = i < index ? 'done' : i === index ? 'current' : '';
+    });
+    if (!item) {
+      nowEl.textContent = 'Setlist finished';
+      counter.textContent = '';
+      missesEl.textContent = '';
+      return;
     }
+    const result = resultFor(item);
+    nowEl.textContent = `${index + 1}/${items.length}: ${cards.get(item.cardId).title || 'Untitled'}`;
+    counter.textContent = `Loop ${loop} / ${item.loops}`;
+    missesEl.textContent = `Misses: ${result.misses}`;
+  };
+  const timer = setInterval(paint, 1000);
+  onViewCleanup(() => {
+    disposed = true;
+    clearInterval(timer);
+    if (player) player.dispose();
   });
-  playTrimBtn.addEventListener('click', () => {
-    if (!audio || !card.trim) return;
-    const startT = parseFloat(startEdit.value) || 0;
-    const endT = parseFloat(endEdit.value) || 0;
-    if (endT <= startT) {
-      alert('Invalid trim times.');
+
+  // Render a card's phrase at the item's speed; started one card ahead so
+  // the next phrase is ready when the current one ends
+  function prepare(i) {
+    const item = items[i];
+    if (!item) return Promise.resolve(null);
+    if (!renders.has(i)) {
+      const card = cards.get(item.cardId);
+      renders.set(i, (async () => {
+        const blob = await getBlob(card.recordingId);
+        if (!blob) throw new Error(`"${card.title || 'Untitled'}" has no audio`);
+        const buffer = await decodeBlob(card.recordingId, blob);
+        const trim = card.trim || { startSec: 0, endSec: buffer.duration };
+        return renderSegment(sliceBuffer(buffer, trim.startSec, trim.endSec), { rate: (item.speed || 100) / 100 });
+      })());
+    }
+    return renders.get(i);
+  }
+
+  function closeItem() {
+    if (itemStartedAt === null || !items[index]) return;
+    resultFor(items[index]).seconds += (Date.now() - itemStartedAt) / 1000;
+    itemStartedAt = null;
+  }
+
+  function stopPlayer() {
+    if (player) player.dispose();
+    player = null;
+  }
+
+  async function playItem(i) {
+    stopPlayer();
+    closeItem();
+    index = i;
+    loop = 0;
+    paint();
+    if (index >= items.length) {
+      playBtn.textContent = 'Start';
+      playBtn.disabled = true;
+      return;
+    }
+    const item = items[index];
+    playBtn.textContent = 'Loading…';
+    playBtn.disabled = true;
+    let buffer;
+    try {
+      buffer = await prepare(index);
+    } catch (err) {
+      console.error('Error preparing setlist card', err);
+      alert(`Skipping a card: ${err.message}`);
+      playItem(i + 1);
       return;
     }
-    audio.currentTime = startT;
-    audio.play();
-    const onTime = () => {
-      if (audio.currentTime >= endT) {
-        audio.pause();
-        audio.removeEventListener('timeupdate', onTime);
+    if (disposed || index !== i) return;
+    const result = resultFor(item);
+    player = createLoopPlayer(buffer, {
+      gapSec: parseFloat(gapInput.value) || 0,
+      repeats: item.loops,
+      onRepeat: n => {
+        loop = n;
+        result.reps++;
+        paint();
+      },
+      onEnd: () => {
+        // Keep the same gap before the next card as between loops
+        setTimeout(() => {
+          if (!disposed && index === i && player) playItem(i + 1);
+        }, (parseFloat(gapInput.value) || 0) * 1000);
       }
-    };
-    audio.addEventListener('timeupdate', onTime);
-  });
-  saveMetaBtn.addEventListener('click', async () => {
-    const newStart = parseFloat(startEdit.value) || 0;
-    const newEnd = parseFloat(endEdit.value) || 0;
-    if (newEnd <= newStart) {
-      alert('End must be greater than start.');
+    });
+    player.start();
+    itemStartedAt = Date.now();
+    playBtn.textContent = 'Stop';
+    playBtn.disabled = false;
+    // Let this card start before rendering the next one
+    setTimeout(() => prepare(i + 1).catch(() => {}), 300);
+  }
+
+  async function finish() {
+    stopPlayer();
+    closeItem();
+    const played = Array.from(results.values()).filter(result => result.reps > 0);
+    if (played.length === 0) {
+      goBack(setlistPath(setlist.id));
       return;
     }
-    card.title = titleEdit.value.trim() || '';
-    card.source = sourceEdit.value.trim() || undefined;
-    card.bpmTarget = bpmEdit.value ? parseInt(bpmEdit.value, 10) : undefined;
-    card.comments = commentsEdit.value.trim() || undefined;
-    const tgs = tagsEdit.value.trim() ? tagsEdit.value.split(',').map(t => t.trim()).filter(t => t) : [];
-    card.tags = tgs;
-    card.mastery = {
-      circleOfFifths: circleSelect.value,
-      chromatic: chromSelect.value
-    };
-    card.trim = { startSec: newStart, endSec: newEnd };
+    finishBtn.disabled = true;
     try {
-      await saveCard(card, null);
-      // reload card
-      await viewCard(card.id);
+      for (const result of played) {
+        const card = await getCard(result.item.cardId);
+        if (!card) continue;
+        const session = {
+          id: newId(),
+          cardId: card.id,
+          date: Date.now(),
+          temposAchieved: card.originalBpm ? [Math.round(card.originalBpm * result.item.speed / 100)] : [],
+          keys: [card.key || 'C'],
+          errorRate: Math.min(100, Math.round(result.misses / result.reps * 100)),
+          mode: 'free',
+          notes: `Setlist: ${setlist.name || 'Untitled setlist'}`,
+          durationSec: Math.round(result.seconds) || undefined,
+          repetitions: result.reps,
+          misses: result.misses
+        };
+        card.sessions = Array.isArray(card.sessions) ? card.sessions : [];
+        card.sessions.push(session);
+        applySessionToMastery(card, session);
+        scheduleReview(card, session);
+        await saveCard(card, null);
+      }
+      alert(`Logged a session on ${played.length} card${played.length === 1 ? '' : 's'}.`);
+      goBack(setlistPath(setlist.id));
     } catch (err) {
-      console.error('Error updating card', err);
-      alert('Failed to update.');
+      console.error('Error logging setlist sessions', err);
+      alert('Failed to log the sessions.');
+      finishBtn.disabled = false;
+    }
+  }
+
+  playBtn.addEventListener('click', () => {
+    if (player) {
+      // Stopping keeps the place; Start replays the current card
+      stopPlayer();
+      closeItem();
+      playBtn.textContent = 'Start';
+      return;
     }
+    playItem(index);
   });
-  addSessBtn.addEventListener('click', () => {
-    showAddSessionForm(card);
+  missBtn.addEventListener('click', () => {
+    if (!items[index]) return;
+    resultFor(items[index]).misses++;
+    paint();
+  });
+  skipBtn.addEventListener('click', () => {
+    if (index < items.length) playItem(index + 1);
+  });
+  gapInput.addEventListener('change', () => {
+    if (player) player.setGap(parseFloat(gapInput.value) || 0);
+  });
+  finishBtn.addEventListener('click', finish);
+  bindActions({
+    toggleLoop: () => {
+      if (!playBtn.disabled) playBtn.click();
+    },
+    restart: () => {
+      if (index < items.length) playItem(index);
+    },
+    nextKey: () => skipBtn.click(),
+    miss: () => missBtn.click()
   });
+  paint();
 }
 
-function showAddSessionForm(card) {
-  const main = document.getElementById('main');
-  if (!main) return;
-  // Create overlay or reuse session section
-  const section = document.createElement('div');
-  section.className = 'form-group';
-  const h3 = document.createElement('h3');
-  h3.textContent = 'New Practice Session';
-  section.appendChild(h3);
-  // Mode select
-  const modeGroup = document.createElement('div');
-  modeGroup.className = 'form-group';
-  const modeLbl = document.createElement('label');
-  modeLbl.textContent = 'Mode';
-  const modeSelect = document.createElement('select');
-  ['circleOfFifths','chromatic','free'].forEach(val => {
-    const opt = document.createElement('option');
-    opt.value = val;
-    opt.textContent = val;
-    modeSelect.appendChild(opt);
+/* Input bindings */
+
+// Player actions that can be bound to a key or a MIDI message, so the loop
+// can be driven with both hands on the instrument
+const BINDING_ACTIONS = [
+  { id: 'toggleLoop', label: 'Play / stop loop' },
+  { id: 'restart', label: 'Restart loop' },
+  { id: 'tempoUp', label: 'Tempo up 5%' },
+  { id: 'tempoDown', label: 'Tempo down 5%' },
+  { id: 'nextKey', label: 'Next key' },
+  { id: 'miss', label: 'Log a miss' }
+];
+
+// Bluetooth page turners type arrow or page keys
+const DEFAULT_BINDINGS = {
+  'key:Space': 'toggleLoop',
+  'key:PageDown': 'toggleLoop',
+  'key:KeyR': 'restart',
+  'key:PageUp': 'restart',
+  'key:ArrowUp': 'tempoUp',
+  'key:ArrowDown': 'tempoDown',
+  'key:ArrowRight': 'nextKey',
+  'key:KeyM': 'miss'
+};
+
+// Handlers of the current view, keyed by action id
+let bindingHandlers = null;
+// While assigning a binding, the next input goes here instead
+let learnInput = null;
+let midiAccess = null;
+// Last value of each MIDI controller, so a pedal fires once per press
+const midiControllerValues = new Map();
+
+// Settings are { bindings: { inputId: actionId }, midi: bool }. Input ids
+// are 'key:<KeyboardEvent.code>' or 'midi:<note|cc|pc>:<channel>:<number>'.
+function loadInputSettings() {
+  const defaults = { bindings: Object.assign({}, DEFAULT_BINDINGS), midi: false };
+  try {
+    return Object.assign(defaults, JSON.parse(localStorage.getItem('inputBindings')) || {});
+  } catch (err) {
+    return defaults;
+  }
+}
+
+function saveInputSettings(settings) {
+  localStorage.setItem('inputBindings', JSON.stringify(settings));
+}
+
+function describeInput(inputId) {
+  const [source, type, channel, number] = inputId.split(':');
+  if (source === 'key') return type.replace(/^Key|^Digit/, '');
+  const num = parseInt(number, 10);
+  if (type === 'note') return `MIDI note ${noteName(num)} (ch ${channel})`;
+  if (type === 'cc') return `MIDI CC ${num} (ch ${channel})`;
+  return `MIDI program ${num + 1} (ch ${channel})`;
+}
+
+// Make actions available while the current view is shown
+function bindActions(handlers) {
+  bindingHandlers = handlers;
+  onViewCleanup(() => {
+    if (bindingHandlers === handlers) bindingHandlers = null;
   });
-  modeGroup.appendChild(modeLbl);
-  modeGroup.appendChild(modeSelect);
-  section.appendChild(modeGroup);
-  // Tempos checkboxes
-  const temposGroup = document.createElement('div');
-  temposGroup.className = 'form-group';
-  const temposLbl = document.createElement('label');
-  temposLbl.textContent = 'Tempos Achieved';
-  temposGroup.appendChild(temposLbl);
-  const tempoValues = [];
-  for (let bpm = 40; bpm <= 240; bpm += 10) {
-    tempoValues.push(bpm);
+}
+
+// Actions every loop panel supports
+function loopPanelActions(panel) {
+  return {
+    toggleLoop: () => panel.toggle(),
+    restart: () => panel.restart(),
+    tempoUp: () => panel.nudgeSpeed(5),
+    tempoDown: () => panel.nudgeSpeed(-5),
+    nextKey: () => panel.nextKey()
+  };
+}
+
+// Route an input to learn mode or to the bound action; true if it was used
+function handleInput(inputId) {
+  if (learnInput) {
+    const learn = learnInput;
+    learnInput = null;
+    learn(inputId);
+    return true;
   }
-  const tempoContainer = document.createElement('div');
-  tempoContainer.style.display = 'flex';
-  tempoContainer.style.flexWrap = 'wrap';
-  tempoContainer.style.gap = '6px';
-  tempoValues.forEach(val => {
-    const span = document.createElement('span');
-    const cb = document.createElement('input');
-    cb.type = 'checkbox';
-    cb.value = val;
-    cb.name = 'tempo';
-    const lbl = document.createElement('label');
-    lbl.textContent = val;
-    lbl.style.marginRight = '4px';
-    span.appendChild(cb);
-    span.appendChild(lbl);
-    tempoContainer.appendChild(span);
+  const action = loadInputSettings().bindings[inputId];
+  const handler = action && bindingHandlers && bindingHandlers[action];
+  if (!handler) return false;
+  handler();
+  return true;
+}
+
+function isTextEntry(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(el.type);
+}
+
+// Keys a focused control handles itself: Space and Enter press buttons,
+// links and summaries and play media, arrows move sliders, radios and the
+// media position. Other keys, such as a page turner's, still reach the
+// bindings, so a pedal keeps working after a button was tapped.
+function controlOwnsKey(el, code) {
+  if (!el || !el.tagName) return false;
+  const activates = ['Space', 'Enter', 'NumpadEnter'].includes(code);
+  const arrows = code.startsWith('Arrow');
+  const tag = el.tagName;
+  if (tag === 'AUDIO' || tag === 'VIDEO') return activates || arrows;
+  if (tag === 'INPUT' && (el.type === 'range' || el.type === 'radio')) return arrows || (activates && el.type === 'radio');
+  if (tag === 'INPUT') return activates && ['checkbox', 'button', 'submit', 'reset'].includes(el.type);
+  if (tag === 'A') return activates && el.hasAttribute('href');
+  return activates && (tag === 'BUTTON' || tag === 'SUMMARY');
+}
+
+function onBindingKeyDown(e) {
+  if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (learnInput && e.code === 'Escape') {
+    learnInput(null);
+    learnInput = null;
+    return;
+  }
+  if (!learnInput && (isTextEntry(e.target) || controlOwnsKey(e.target, e.code))) return;
+  if (['ShiftLeft', 'ShiftRight', 'CapsLock'].includes(e.code)) return;
+  if (handleInput(`key:${e.code}`)) e.preventDefault();
+}
+
+// Note-ons and program changes fire on arrival; controllers (sustain-style
+// foot switches) when they cross from up to down
+function midiInputId(data) {
+  const type = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  if (type === 0x90 && data[2] > 0) return `midi:note:${channel}:${data[1]}`;
+  if (type === 0xc0) return `midi:pc:${channel}:${data[1]}`;
+  if (type === 0xb0) {
+    const id = `midi:cc:${channel}:${data[1]}`;
+    const wasDown = (midiControllerValues.get(id) || 0) >= 64;
+    midiControllerValues.set(id, data[2]);
+    if (data[2] >= 64 && !wasDown) return id;
+  }
+  return null;
+}
+
+function onMidiMessage(e) {
+  const inputId = midiInputId(e.data);
+  if (inputId) handleInput(inputId);
+}
+
+function listenToMidiInputs() {
+  midiAccess.inputs.forEach(input => {
+    input.onmidimessage = onMidiMessage;
   });
-  temposGroup.appendChild(tempoContainer);
-  section.appendChild(temposGroup);
-  // Error rate
-  const errGroup = document.createElement('div');
-  errGroup.className = 'form-group';
-  const errLbl = document.createElement('label');
-  errLbl.textContent = 'Error Rate (%)';
-  const errInput = document.createElement('input');
-  errInput.type = 'number';
-  errInput.min = '0';
-  errInput.max = '100';
-  errInput.value = '0';
-  errGroup.appendChild(errLbl);
-  errGroup.appendChild(errInput);
-  section.appendChild(errGroup);
-  // Notes
-  const notesGroup = document.createElement('div');
-  notesGroup.className = 'form-group';
-  const notesLbl = document.createElement('label');
-  notesLbl.textContent = 'Notes (optional)';
-  const notesInput = document.createElement('textarea');
-  notesGroup.appendChild(notesLbl);
-  notesGroup.appendChild(notesInput);
-  section.appendChild(notesGroup);
-  // Buttons
-  const btnGroup = document.createElement('div');
-  btnGroup.className = 'button-group';
-  const saveBtn = document.createElement('button');
-  saveBtn.textContent = 'Save Session';
-  saveBtn.type = 'button';
-  const cancelBtn = document.createElement('button');
-  cancelBtn.textContent = 'Cancel';
-  cancelBtn.type = 'button';
-  btnGroup.appendChild(saveBtn);
-  btnGroup.appendChild(cancelBtn);
-  section.appendChild(btnGroup);
-  // Render this section in main (replace existing content)
-  main.innerHTML = '';
-  main.appendChild(section);
-  // Save handler
-  saveBtn.addEventListener('click', async () => {
-    const mode = modeSelect.value;
-    const tempos = Array.from(tempoContainer.querySelectorAll('input[name="tempo"]:checked')).map(el => parseInt(el.value, 10));
-    const errorRate = errInput.value ? parseFloat(errInput.value) : 0;
-    const notes = notesInput.value.trim() || undefined;
-    const session = {
-      id: (crypto && crypto.randomUUID) ? crypto.randomUUID() : Math.random().toString(36).substring(2),
-      cardId: card.id,
-      date: Date.now(),
-      temposAchieved: tempos,
-      errorRate: errorRate,
-      mode: mode,
-      notes: notes
-    };
-    card.sessions = Array.isArray(card.sessions) ? card.sessions : [];
-    card.sessions.push(session);
+}
+
+// Ask for MIDI access and listen to every connected input, including ones
+// plugged in later. Resolves to the number of inputs.
+async function enableMidi() {
+  if (!navigator.requestMIDIAccess) throw new Error('This browser does not support MIDI devices.');
+  if (!midiAccess) {
+    midiAccess = await navigator.requestMIDIAccess();
+    midiAccess.onstatechange = listenToMidiInputs;
+  }
+  listenToMidiInputs();
+  return midiAccess.inputs.size;
+}
+
+function disableMidi() {
+  if (!midiAccess) return;
+  midiAccess.onstatechange = null;
+  midiAccess.inputs.forEach(input => {
+    input.onmidimessage = null;
+  });
+  midiAccess = null;
+}
+
+function initInputBindings() {
+  document.addEventListener('keydown', onBindingKeyDown);
+  if (loadInputSettings().midi) {
+    enableMidi().catch(err => console.warn('MIDI unavailable', err));
+  }
+}
+
+function showControlsView() {
+  const main = document.getElementById('main');
+  if (!main) return;
+  clearView(main);
+  const settings = loadInputSettings();
+  const container = document.createElement('div');
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Hands-free Controls';
+  container.appendChild(h2);
+  const hint = document.createElement('p');
+  hint.className = 'hint';
+  hint.textContent = 'Keys work on a card, while practicing and in the setlist player. Most Bluetooth page turners send arrow or page keys. In the setlist player, Next key moves on to the next card.';
+  container.appendChild(hint);
+  // MIDI
+  const midiGroup = document.createElement('div');
+  midiGroup.className = 'form-group';
+  const midiLbl = document.createElement('label');
+  const midiCb = document.createElement('input');
+  midiCb.type = 'checkbox';
+  midiCb.checked = settings.midi;
+  midiLbl.appendChild(midiCb);
+  midiLbl.appendChild(document.createTextNode(' Use MIDI controllers and foot pedals'));
+  midiGroup.appendChild(midiLbl);
+  const midiStatus = document.createElement('p');
+  midiStatus.className = 'hint';
+  midiGroup.appendChild(midiStatus);
+  container.appendChild(midiGroup);
+  // One row per action with its inputs and a Learn button
+  const table = document.createElement('table');
+  table.className = 'stats-table bindings-table';
+  container.appendChild(table);
+  const buttonGroup = document.createElement('div');
+  buttonGroup.className = 'button-group';
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.textContent = 'Reset to Defaults';
+  buttonGroup.appendChild(resetBtn);
+  container.appendChild(buttonGroup);
+  main.appendChild(container);
+  onViewCleanup(() => {
+    learnInput = null;
+  });
+
+  const showMidiStatus = async () => {
+    if (!settings.midi) {
+      midiStatus.textContent = 'Off';
+      return;
+    }
     try {
-      await saveCard(card, null);
-      await viewCard(card.id);
+      const count = await enableMidi();
+      midiStatus.textContent = `${count} MIDI input${count === 1 ? '' : 's'} connected`;
     } catch (err) {
-      console.error('Error saving session', err);
-      alert('Failed to save session.');
+      console.warn('MIDI unavailable', err);
+      midiStatus.textContent = err.message || 'MIDI access was refused.';
     }
+  };
+
+  function renderRows() {
+    table.innerHTML = '';
+    BINDING_ACTIONS.forEach(action => {
+      const row = document.createElement('tr');
+      const name = document.createElement('th');
+      name.textContent = action.label;
+      row.appendChild(name);
+      const inputsCell = document.createElement('td');
+      Object.keys(settings.bindings).filter(id => settings.bindings[id] === action.id).forEach(inputId => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip active';
+        chip.textContent = describeInput(inputId) + ' ×';
+        chip.title = 'Remove';
+        chip.addEventListener('click', () => {
+          delete settings.bindings[inputId];
+          saveInputSettings(settings);
+          renderRows();
+        });
+        inputsCell.appendChild(chip);
+      });
+      row.appendChild(inputsCell);
+      const learnCell = document.createElement('td');
+      const learnBtn = document.createElement('button');
+      learnBtn.type = 'button';
+      learnBtn.textContent = 'Learn';
+      learnBtn.addEventListener('click', () => {
+        if (learnInput) {
+          learnInput = null;
+          renderRows();
+          return;
+        }
+        learnBtn.textContent = 'Press a key or pedal… (Esc cancels)';
+        learnInput = inputId => {
+          // An input drives one action, so learning moves it here
+          if (inputId) settings.bindings[inputId] = action.id;
+          saveInputSettings(settings);
+          renderRows();
+        };
+      });
+      learnCell.appendChild(learnBtn);
+      row.appendChild(learnCell);
+      table.appendChild(row);
+    });
+  }
+
+  midiCb.addEventListener('change', () => {
+    settings.midi = midiCb.checked;
+    saveInputSettings(settings);
+    if (!settings.midi) disableMidi();
+    showMidiStatus();
   });
-  cancelBtn.addEventListener('click', async () => {
-    await viewCard(card.id);
+  resetBtn.addEventListener('click', () => {
+    settings.bindings = Object.assign({}, DEFAULT_BINDINGS);
+    saveInputSettings(settings);
+    renderRows();
   });
-}
\ No newline at end of file
+  renderRows();
+  showMidiStatus();
+}
+
+/* Sharing */
+
+// Files shared from other apps are posted to the service worker (see
+// share_target in manifest.json), which keeps them in this cache and opens
+// #/shared
+const SHARE_CACHE = 'phrasecards-share';
+
+// Take the shared files out of the cache: { title, files }
+async function takeSharedFiles() {
+  const shared = { title: '', files: [] };
+  if (!('caches' in window)) return shared;
+  const cache = await caches.open(SHARE_CACHE);
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    if (request.url.endsWith('/shared/meta')) {
+      shared.title = (await response.json()).title || '';
+    } else {
+      const blob = await response.blob();
+      const name = decodeURIComponent(response.headers.get('X-Filename') || '') || 'Shared audio';
+      shared.files.push(new File([blob], name, { type: blob.type }));
+    }
+    await cache.delete(request);
+  }
+  return shared;
+}
+
+function isArchiveFile(file) {
+  return file.type === 'application/zip' || /\.zip$/i.test(file.name);
+}
+
+function isAudioFile(file) {
+  return file.type.startsWith('audio/') || /\.(mp3|m4a|aac|wav|ogg|oga|opus|flac|webm)$/i.test(file.name);
+}
+
+// Shared audio opens the add form; a shared card (or backup) is merged into
+// the library after asking
+async function showSharedRoute() {
+  let shared;
+  try {
+    shared = await takeSharedFiles();
+  } catch (err) {
+    console.error('Error reading shared files', err);
+    shared = { title: '', files: [] };
+  }
+  const bundle = shared.files.find(isArchiveFile);
+  if (bundle) {
+    await importSharedArchive(bundle);
+    return;
+  }
+  const audio = shared.files.find(isAudioFile);
+  if (!audio) {
+    // Nothing waiting (e.g. the page was reloaded): a plain add form
+    if (shared.files.length) alert('Only audio files and shared cards can be added.');
+    await navigate('#/add', { replace: true });
+    return;
+  }
+  await showAddView(null, { file: audio, title: shared.title });
+}
+
+async function importSharedArchive(file) {
+  let archive;
+  try {
+    archive = await readLibraryArchive(file);
+  } catch (err) {
+    console.error('Error reading shared card', err);
+    alert(`Could not read the shared file: ${err.message}`);
+    await navigate('#/cards', { replace: true });
+    return;
+  }
+  const cards = archive.cards;
+  const what = cards.length > 3 ? `${cards.length} cards` : cards.map(card => `"${card.title || 'Untitled'}"`).join(', ');
+  const problems = archive.problems.length ? `\n\n${archive.problems.join('\n')}` : '';
+  if (cards.length === 0 || !confirm(`Add ${what} to your library?${problems}`)) {
+    await navigate('#/cards', { replace: true });
+    return;
+  }
+  try {
+    const result = await importLibrary(archive, 'merge');
+    if (result.skipped) alert(`${result.skipped} card${result.skipped === 1 ? ' was' : 's were'} skipped because the audio was missing.`);
+  } catch (err) {
+    console.error('Error importing shared card', err);
+    alert('Failed to import the shared file.');
+  }
+  const card = cards.length === 1 ? await getCard(cards[0].id) : null;
+  await navigate(card ? cardPath(card.id) : '#/cards', { replace: true });
+}
+
+// Send a card through the system share sheet where files can be shared,
+// otherwise download the bundle
+async function shareCard(card) {
+  const zip = await exportCardBundle(card);
+  const name = `${(card.title || 'Phrase').replace(/[\\/:*?"<>|]+/g, '').trim() || 'Phrase'}.phrasecard.zip`;
+  const file = new File([zip], name, { type: 'application/zip' });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({
+        files: [file],
+        title: card.title || 'Phrase card',
+        text: 'A Phrase Cards card: share it to Phrase Cards, or import it under Backup.'
+      });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.warn('Sharing failed, downloading instead', err);
+    }
+  }
+  downloadBlob(file, name);
+}
@@ -1,25 +1,100 @@
-const CACHE_NAME = 'phrasecards-cache-v1';
+// Bump CACHE_VERSION with every release. The new worker precaches the new
+// files next to the old cache and then waits; the app offers a reload, which
+// activates it and deletes the old cache.
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'phrasecards-cache-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+// Relative to this file so the app also works from a sub-directory
 const urlsToCache = [
-  '/',
-  '/index.html',
-  '/app.js',
-  '/style.css',
-  '/manifest.json',
-  '/icons/ios-180.png'
+  './',
+  'index.html',
+  'app.js',
+  'style.css',
+  'manifest.json',
+  'icons/ios-180.png'
 ];
+const PRECACHED = urlsToCache.map(url => new URL(url, self.location).href);
+// Files shared from other apps wait here until the app picks them up
+const SHARE_CACHE = 'phrasecards-share';
+const SHARE_TARGET = new URL('share-target', self.location).href;
 
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(urlsToCache);
+      // Skip the HTTP cache so a new version never precaches stale files
+      return cache.addAll(urlsToCache.map(url => new Request(url, { cache: 'reload' })));
+    }).then(() => caches.has(CACHE_PREFIX + 'v1')).then(legacy => {
+      // The first worker's pages can't show the update prompt, so take over
+      // from it straight away
+      if (legacy) return self.skipWaiting();
     })
   );
 });
 
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+    )).then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// The share_target in manifest.json posts shared files here. Keep them for
+// the app (replacing anything from an earlier share) and open #/shared.
+async function receiveShare(request) {
+  const form = await request.formData();
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all((await cache.keys()).map(key => cache.delete(key)));
+  const files = form.getAll('file').filter(file => typeof file !== 'string');
+  await Promise.all(files.map((file, i) => cache.put(
+    new URL(`shared/${i}`, self.location).href,
+    new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-Filename': encodeURIComponent(file.name || '')
+      }
+    })
+  )));
+  await cache.put(
+    new URL('shared/meta', self.location).href,
+    new Response(JSON.stringify({ title: form.get('title') || '' }), { headers: { 'Content-Type': 'application/json' } })
+  );
+  return Response.redirect(new URL('./#/shared', self.location).href, 303);
+}
+
 self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method === 'POST' && request.url === SHARE_TARGET) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  // App shell: always the precached version, so app.js, style.css and
+  // index.html change together when a new worker takes over
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(new URL('index.html', self.location).href).then(response => response || fetch(request))
+    );
+    return;
+  }
+  if (PRECACHED.includes(request.url)) {
+    event.respondWith(
+      caches.match(request).then(response => response || fetch(request))
+    );
+    return;
+  }
+  // Anything else: network first, keeping a copy for offline use
   event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
-    })
+    fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }).catch(() => caches.match(request).then(response => response || Response.error()))
   );
-});
\ No newline at end of file
+});